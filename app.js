@@ -3,7 +3,372 @@
  * Procedural white noise generator with EQ and media controls
  */
 
+import {
+    createPresetFile,
+    parsePresetFile,
+    encodePresetHash,
+    decodePresetHash,
+    MAX_PRESET_NAME_LENGTH
+} from './presets.js';
+import { encodeWav, encodeFlac } from './audio-export.js';
+import {
+    EqualizerChain,
+    EqualizerCurve,
+    createDefaultEq,
+    normalizeEq,
+    formatFrequency,
+    positionToFrequency,
+    frequencyToPosition,
+    BAND_TYPES,
+    MAX_EQ_BANDS,
+    MIN_FREQUENCY,
+    MAX_FREQUENCY,
+    MAX_GAIN,
+    MIN_Q,
+    MAX_Q
+} from './equalizer.js';
+import { SpectrumDisplay } from './visualizer.js';
+import {
+    ModulationBank,
+    createModulator,
+    normalizeModulator,
+    formatPeriod,
+    MODULATION_SHAPES,
+    MAX_MODULATORS,
+    MIN_PERIOD,
+    MAX_PERIOD
+} from './modulation.js';
+import {
+    createProgram,
+    createStage,
+    normalizeProgram,
+    planProgram,
+    STAGE_ENDS,
+    MAX_PROGRAMS,
+    MAX_STAGES,
+    MAX_TRANSITION_SECONDS,
+    MAX_STAGE_MINUTES
+} from './sequencer.js';
+import {
+    PitchMatcher,
+    createTinnitus,
+    normalizeTinnitus,
+    tinnitusEq,
+    makeupGain,
+    formatOctaves,
+    TINNITUS_MODES,
+    WIZARD_FREQUENCIES,
+    MIN_TINNITUS_FREQUENCY,
+    MAX_TINNITUS_FREQUENCY
+} from './tinnitus.js';
+import {
+    Limiter,
+    LevelMeter,
+    exposureDose,
+    DEFAULT_FULL_SCALE_SPL,
+    MIN_FULL_SCALE_SPL,
+    MAX_FULL_SCALE_SPL
+} from './safety.js';
+import {
+    createShortcuts,
+    normalizeShortcuts,
+    getShortcutActions,
+    findShortcut,
+    isBindableKey,
+    normalizeKey,
+    formatKey,
+    SHORTCUT_ACTIONS
+} from './shortcuts.js';
+import { TabChannel, mergeChanges, isNewerClaim } from './tabs.js';
+import { ControlApi, readAllowedOrigins } from './embed-api.js';
+import { SOUND_PARAMS } from './dsp-core.js';
+
 const STORAGE_KEY = 'whoanoise-state';
+const PRESETS_KEY = 'whoanoise-presets';
+const PROGRAMS_KEY = 'whoanoise-programs';
+const EXPOSURE_KEY = 'whoanoise-exposure';
+
+// Settings mirrored to other windows as they change; the rest reach
+// them when they are saved
+const LIVE_KEYS = ['noiseType', 'slope', 'eq'];
+
+// Wait for a burst of saves from another window to settle (ms)
+const STORAGE_SYNC_MS = 100;
+
+// Default volume slider position (percent)
+const DEFAULT_VOLUME = 70;
+
+// Default stereo width (percent, 0 = mono, 100 = fully decorrelated)
+const DEFAULT_STEREO_WIDTH = 100;
+
+// Time to glide to a new volume so slider moves don't click (seconds)
+const VOLUME_RAMP_SECONDS = 0.05;
+
+// Volume change per shortcut key press (percent)
+const VOLUME_STEP = 5;
+
+// EQ band change per arrow key press (dB, and octaves)
+const EQ_GAIN_STEP = 1;
+const EQ_FREQUENCY_STEP = 1 / 6;
+
+// Spectral slope of each color preset (dB/octave)
+// All colors are rendered by the processor's continuous 'color' generator
+const COLOR_PRESETS = {
+    white: 0,
+    pink: -3,
+    brown: -6,
+    blue: 3,
+    violet: 6
+};
+
+// Display name of each sound, for the lock screen and announcements
+const NOISE_NAMES = {
+    white: 'White Noise',
+    pink: 'Pink Noise',
+    brown: 'Brown Noise',
+    blue: 'Blue Noise',
+    violet: 'Violet Noise',
+    rain: 'Rain',
+    surf: 'Ocean Surf',
+    wind: 'Wind',
+    fan: 'Fan'
+};
+
+/**
+ * Format an EQ gain in dB with an explicit sign
+ */
+function formatGain(value) {
+    const sign = value > 0 ? '+' : '';
+    return `${sign}${value} dB`;
+}
+
+/**
+ * Format a pan position (-100 to 100) as L/R percent
+ */
+function formatPan(value) {
+    if (value === 0) return 'C';
+    return value < 0 ? `L${-value}` : `R${value}`;
+}
+
+// Tunable soundscape parameters, shown when that sound is selected
+// Ranges and defaults come from SOUND_PARAMS in dsp-core.js, so they
+// always match what the generators accept
+const SOUND_CONTROLS = Object.fromEntries(Object.entries({
+    rain: [
+        { name: 'density', label: 'Drops', step: 1, unit: '/s' },
+        { name: 'brightness', label: 'Tone', step: 0.01, unit: '%' }
+    ],
+    surf: [
+        { name: 'period', label: 'Waves', step: 0.5, unit: 's' },
+        { name: 'depth', label: 'Swell', step: 0.01, unit: '%' }
+    ],
+    wind: [
+        { name: 'speed', label: 'Gusts', step: 0.01, unit: '%' },
+        { name: 'resonance', label: 'Whistle', step: 0.01, unit: '%' }
+    ],
+    fan: [
+        { name: 'pitch', label: 'Pitch', step: 1, unit: ' Hz' },
+        { name: 'hum', label: 'Hum', step: 0.01, unit: '%' }
+    ]
+}).map(([sound, controls]) => [
+    sound,
+    controls.map(control => ({ ...control, ...SOUND_PARAMS[sound][control.name] }))
+]));
+
+/**
+ * Format a soundscape parameter value for display
+ */
+function formatSoundParam(control, value) {
+    if (control.unit === '%') {
+        return `${Math.round(value * 100)}%`;
+    }
+    return `${value}${control.unit}`;
+}
+
+// Most layers that can be stacked on top of the main sound
+const MAX_LAYERS = 4;
+
+// Crossfade time when switching noise types (seconds)
+const NOISE_CROSSFADE_SECONDS = 1;
+
+// Length of the sleep timer fade-out at the end of the countdown (seconds)
+const SLEEP_FADE_SECONDS = 60;
+
+// Longest sleep timer a deep link can set (minutes, as the custom field)
+const MAX_TIMER_MINUTES = 720;
+
+// How long a deep link waits for the browser to allow sound (ms)
+const AUTOPLAY_TIMEOUT_MS = 500;
+
+// How often an open page checks for a new version of the app (ms)
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+// How often the audio is checked while playing, and how many checks in
+// a row the audio clock may stand still before the graph is rebuilt
+const AUDIO_CHECK_MS = 1000;
+const STALLED_CHECKS = 3;
+
+// How often the limiter light and listening exposure update (ms)
+const SAFETY_INTERVAL_MS = 250;
+
+// Longest audio export, keeps the rendered buffer within browser memory
+const MAX_EXPORT_MINUTES = 10;
+
+// Entrainment tone types, with their display names
+const TONE_MODES = {
+    binaural: 'Binaural beat',
+    isochronic: 'Isochronic pulse'
+};
+
+// Tone slider ranges: carrier and beat in Hz, level in dB relative to
+// the noise bed (these match the sliders in index.html)
+const TONE_RANGES = {
+    carrier: { min: 40, max: 1000 },
+    beat: { min: 0.5, max: 40 },
+    level: { min: -40, max: 0 }
+};
+
+/**
+ * Today's local date as YYYY-MM-DD, for the daily exposure count
+ */
+function todayKey() {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Read deep link parameters from a query string, such as
+ * ?type=brown&autoplay=1&timer=45 or ?preset=Night
+ * Returns null when there are none; sound names are checked by the app
+ */
+function parseLaunchParams(search) {
+    const params = new URLSearchParams(search);
+    if (!['type', 'preset', 'autoplay', 'timer'].some(name => params.has(name))) return null;
+
+    const timer = parseInt(params.get('timer'), 10);
+    return {
+        type: params.get('type'),
+        preset: params.get('preset'),
+        autoplay: params.get('autoplay') === '1' || params.get('autoplay') === 'true',
+        timer: timer >= 0 && timer <= MAX_TIMER_MINUTES ? timer : null
+    };
+}
+
+/**
+ * Clean up saved sound settings, from storage, a preset file or a link
+ * Unknown keys and invalid values are dropped and numbers are clamped
+ * to their ranges; noiseTypes are the sounds in the grid
+ */
+function normalizeState(state, noiseTypes) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) return {};
+
+    const clamp = (value, min, max, fallback) =>
+        typeof value === 'number' && isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+    const clean = {};
+
+    if (state.noiseType === 'color' || noiseTypes.includes(state.noiseType)) {
+        clean.noiseType = state.noiseType;
+    }
+    const slope = clamp(state.slope, -9, 6, null);
+    if (slope !== null) {
+        clean.slope = slope;
+    }
+
+    if (state.soundParams && typeof state.soundParams === 'object') {
+        clean.soundParams = {};
+        for (const [sound, controls] of Object.entries(SOUND_CONTROLS)) {
+            const saved = state.soundParams[sound] || {};
+            clean.soundParams[sound] = {};
+            controls.forEach(control => {
+                const value = clamp(saved[control.name], control.min, control.max, null);
+                if (value !== null) {
+                    clean.soundParams[sound][control.name] = value;
+                }
+            });
+        }
+    }
+
+    if (Array.isArray(state.layers)) {
+        clean.layers = state.layers
+            .filter(layer => layer && noiseTypes.includes(layer.noiseType))
+            .slice(0, MAX_LAYERS)
+            .map(layer => ({
+                noiseType: layer.noiseType,
+                gain: clamp(layer.gain, 0, 100, 50),
+                muted: layer.muted === true,
+                pan: clamp(layer.pan, -100, 100, 0),
+                eq: {
+                    low: clamp(layer.eq && layer.eq.low, -12, 12, 0),
+                    high: clamp(layer.eq && layer.eq.high, -12, 12, 0)
+                }
+            }));
+    }
+
+    for (const name of ['volume', 'stereoWidth']) {
+        const value = clamp(state[name], 0, 100, null);
+        if (value !== null) {
+            clean[name] = value;
+        }
+    }
+
+    // Older states with low/mid/high gains are migrated
+    if (state.eq && typeof state.eq === 'object') {
+        clean.eq = normalizeEq(state.eq);
+    }
+
+    // Tone levels that are missing keep their current setting
+    if (state.tones && typeof state.tones === 'object') {
+        clean.tones = {
+            enabled: state.tones.enabled === true,
+            mode: Object.hasOwn(TONE_MODES, state.tones.mode) ? state.tones.mode : 'binaural'
+        };
+        for (const [name, { min, max }] of Object.entries(TONE_RANGES)) {
+            const value = clamp(state.tones[name], min, max, null);
+            if (value !== null) {
+                clean.tones[name] = value;
+            }
+        }
+    }
+
+    if (Array.isArray(state.modulators)) {
+        clean.modulators = state.modulators
+            .map(normalizeModulator)
+            .filter(Boolean)
+            .slice(0, MAX_MODULATORS);
+    }
+
+    const timer = clamp(state.timer, 0, MAX_TIMER_MINUTES, null);
+    if (timer !== null && Number.isInteger(timer)) {
+        clean.timer = timer;
+    }
+
+    return clean;
+}
+
+/**
+ * Save a Blob through a temporary download link
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Format a duration in seconds as h:mm:ss or m:ss
+ */
+function formatDuration(seconds) {
+    const total = Math.max(0, Math.ceil(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    const ss = String(s).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
 
 class WhoaNoise {
     constructor() {
@@ -11,29 +376,244 @@ class WhoaNoise {
         this.audioContext = null;
         this.noiseNode = null;
         this.gainNode = null;
-        this.eqLow = null;
-        this.eqMid = null;
-        this.eqHigh = null;
+        this.equalizer = null;
+        this.tinnitusFilter = null;
+        this.analyser = null;
+        this.modulation = null;
+        this.modulationGain = null;
+        this.toneNode = null;
+        this.limiter = null;
+        this.levelMeter = null;
         this.isPlaying = false;
         this.currentNoiseType = 'white';
 
+        // isPlaying is what the user asked for; interrupted is set while
+        // the audio isn't actually running despite that (a phone call,
+        // another app, a lost output device)
+        this.interrupted = false;
+        this.recovering = false;
+        this.audioCheckInterval = null;
+        this.audioCheckTime = 0;
+        this.stalledChecks = 0;
+        this.colorSlope = COLOR_PRESETS.white;
+
+        // Soundscape parameters, starting from the defaults
+        this.soundParams = {};
+        for (const [sound, controls] of Object.entries(SOUND_CONTROLS)) {
+            this.soundParams[sound] = {};
+            controls.forEach(control => {
+                this.soundParams[sound][control.name] = control.value;
+            });
+        }
+        this.volume = DEFAULT_VOLUME;
+        this.stereoWidth = DEFAULT_STEREO_WIDTH;
+
+        // Parametric EQ settings and the band shown in the editor
+        this.eq = createDefaultEq();
+        this.selectedEqBand = 0;
+
+        // Entrainment tones mixed over the noise
+        this.tones = { enabled: false, mode: 'binaural', carrier: 200, beat: 10, level: -20 };
+
+        // Slow modulators (LFOs and random walks), each with a runtime id
+        this.modulators = [];
+        this.nextModulatorId = 1;
+
+        // Extra layers mixed on top of the main sound
+        // Each layer's audio nodes live in layerNodes, keyed by layer id
+        this.layers = [];
+        this.layerNodes = new Map();
+        this.nextLayerId = 1;
+
+        // Named presets, in display order
+        // activePreset is the index of the last loaded preset (-1 for none)
+        this.presets = [];
+        this.activePreset = -1;
+
+        // Sequencer programs, the one open in the editor, and the run in
+        // progress (null when no program is running)
+        this.programs = [];
+        this.selectedProgram = 0;
+        this.programRun = null;
+
+        // App preferences (not part of presets)
+        this.settings = {
+            trackButtons: 'types',
+            spectrum: true,
+            spectrumAveraging: true,
+            spectrumPeakHold: true,
+            tinnitus: createTinnitus(),
+            fullScaleSpl: DEFAULT_FULL_SCALE_SPL,
+            shortcuts: createShortcuts(),
+            autoResume: true
+        };
+
+        // Shortcut action waiting for a new key in the help overlay (null
+        // when none), and the pending screen reader announcement
+        this.capturingShortcut = null;
+        this.announceTimeout = null;
+
+        // Today's listening dose (1 = the whole daily allowance), and the
+        // monitor that updates it and the limiter light while playing
+        this.exposure = { date: todayKey(), dose: 0 };
+        this.safetyInterval = null;
+        this.safetyTime = 0;
+        this.exposureSaved = 0;
+
+        // Other open windows: the one playing (null if none), this
+        // window's claim while it plays, the state last seen saved, and
+        // whether changes from another window are being applied
+        this.tabs = new TabChannel(message => this.handleTabMessage(message));
+        this.remotePlayer = null;
+        this.playClaim = null;
+        this.savedState = null;
+        this.applyingRemote = false;
+        this.storageTimeout = null;
+
+        // Commands and events for an embedding page and for scripts
+        this.api = new ControlApi(this, {
+            allowedOrigins: readAllowedOrigins(),
+            maxTimerMinutes: MAX_TIMER_MINUTES
+        });
+
+        // Tinnitus pitch-matching wizard: its tone, and the starting pitch
+        // and fine offset (octaves) being tried, null before one is picked
+        this.pitchMatcher = new PitchMatcher();
+        this.wizardBase = null;
+        this.wizardOffset = 0;
+
+        // Sleep timer state (minutes = 0 means off)
+        this.sleepTimerMinutes = 0;
+        this.sleepTimerEnd = null;
+        this.sleepTimerDuration = 0;
+        this.sleepTimerFadeStart = 0;
+        this.sleepTimerInterval = null;
+
+        // True while an audio export is rendering or encoding
+        this.isExporting = false;
+
+        // New app version: the service worker waiting to take over, whether
+        // the user accepted it while playing (it installs on stop), and
+        // whether this page asked it to take over
+        this.waitingWorker = null;
+        this.updatePending = false;
+        this.updateRequested = false;
+
         // Silent audio element for Media Session anchoring on mobile
         this.mediaElement = null;
 
         // DOM elements
         this.playButton = document.getElementById('playButton');
         this.playLabel = document.getElementById('playLabel');
+        this.playbackStatus = document.getElementById('playbackStatus');
+        this.autoResumeEnabled = document.getElementById('autoResumeEnabled');
         this.noiseGrid = document.getElementById('noiseGrid');
-        this.lowSlider = document.getElementById('lowSlider');
-        this.midSlider = document.getElementById('midSlider');
-        this.highSlider = document.getElementById('highSlider');
-        this.lowValue = document.getElementById('lowValue');
-        this.midValue = document.getElementById('midValue');
-        this.highValue = document.getElementById('highValue');
+        this.colorSlider = document.getElementById('colorSlider');
+        this.colorValue = document.getElementById('colorValue');
+        this.soundParamsPanel = document.getElementById('soundParams');
+        this.layerList = document.getElementById('layerList');
+        this.addLayerButton = document.getElementById('addLayerButton');
+        this.toneEnabled = document.getElementById('toneEnabled');
+        this.toneMode = document.getElementById('toneMode');
+        this.toneCarrierSlider = document.getElementById('toneCarrierSlider');
+        this.toneCarrierValue = document.getElementById('toneCarrierValue');
+        this.toneBeatSlider = document.getElementById('toneBeatSlider');
+        this.toneBeatValue = document.getElementById('toneBeatValue');
+        this.toneLevelSlider = document.getElementById('toneLevelSlider');
+        this.toneLevelValue = document.getElementById('toneLevelValue');
+        this.toneHint = document.getElementById('toneHint');
+        this.tinnitusPitch = document.getElementById('tinnitusPitch');
+        this.tinnitusMatchButton = document.getElementById('tinnitusMatchButton');
+        this.tinnitusWizard = document.getElementById('tinnitusWizard');
+        this.wizardStep = document.getElementById('wizardStep');
+        this.wizardFrequencies = document.getElementById('wizardFrequencies');
+        this.wizardFineRow = document.getElementById('wizardFineRow');
+        this.wizardFine = document.getElementById('wizardFine');
+        this.wizardFrequency = document.getElementById('wizardFrequency');
+        this.wizardLevel = document.getElementById('wizardLevel');
+        this.wizardLevelValue = document.getElementById('wizardLevelValue');
+        this.wizardOctaves = document.getElementById('wizardOctaves');
+        this.wizardOctaveDown = document.getElementById('wizardOctaveDown');
+        this.wizardOctaveUp = document.getElementById('wizardOctaveUp');
+        this.wizardPlay = document.getElementById('wizardPlay');
+        this.wizardSave = document.getElementById('wizardSave');
+        this.tinnitusMode = document.getElementById('tinnitusMode');
+        this.tinnitusWidth = document.getElementById('tinnitusWidth');
+        this.tinnitusWidthValue = document.getElementById('tinnitusWidthValue');
+        this.tinnitusDepth = document.getElementById('tinnitusDepth');
+        this.tinnitusDepthValue = document.getElementById('tinnitusDepthValue');
+        this.tinnitusDepthRow = document.getElementById('tinnitusDepthRow');
+        this.modulatorList = document.getElementById('modulatorList');
+        this.addModulatorButton = document.getElementById('addModulatorButton');
+        this.presetForm = document.getElementById('presetForm');
+        this.presetName = document.getElementById('presetName');
+        this.presetList = document.getElementById('presetList');
+        this.presetStatus = document.getElementById('presetStatus');
+        this.exportButton = document.getElementById('exportPresets');
+        this.importButton = document.getElementById('importPresets');
+        this.importFile = document.getElementById('importFile');
+        this.trackPresets = document.getElementById('trackPresets');
+        this.spectrumDisplay = document.getElementById('spectrumDisplay');
+        this.spectrumEnabled = document.getElementById('spectrumEnabled');
+        this.spectrumAveraging = document.getElementById('spectrumAveraging');
+        this.spectrumPeakHold = document.getElementById('spectrumPeakHold');
+        this.volumeSlider = document.getElementById('volumeSlider');
+        this.volumeValue = document.getElementById('volumeValue');
+        this.widthSlider = document.getElementById('widthSlider');
+        this.widthValue = document.getElementById('widthValue');
+        this.limiterIndicator = document.getElementById('limiterIndicator');
+        this.exposureValue = document.getElementById('exposureValue');
+        this.exposureWarning = document.getElementById('exposureWarning');
+        this.fullScaleInput = document.getElementById('fullScaleInput');
+        this.eqCurveCanvas = document.getElementById('eqCurve');
+        this.eqBands = document.getElementById('eqBands');
+        this.eqEditor = document.getElementById('eqEditor');
+        this.highpassEnabled = document.getElementById('highpassEnabled');
+        this.highpassSlider = document.getElementById('highpassSlider');
+        this.highpassValue = document.getElementById('highpassValue');
+        this.lowpassEnabled = document.getElementById('lowpassEnabled');
+        this.lowpassSlider = document.getElementById('lowpassSlider');
+        this.lowpassValue = document.getElementById('lowpassValue');
+        this.timerOptions = document.getElementById('timerOptions');
+        this.timerCustom = document.getElementById('timerCustom');
+        this.timerRemaining = document.getElementById('timerRemaining');
+        this.programSelect = document.getElementById('programSelect');
+        this.newProgramButton = document.getElementById('newProgramButton');
+        this.deleteProgramButton = document.getElementById('deleteProgramButton');
+        this.programName = document.getElementById('programName');
+        this.stageList = document.getElementById('stageList');
+        this.addStageButton = document.getElementById('addStageButton');
+        this.runProgramButton = document.getElementById('runProgramButton');
+        this.programStatus = document.getElementById('programStatus');
+        this.exportForm = document.getElementById('exportForm');
+        this.exportDuration = document.getElementById('exportDuration');
+        this.exportFormat = document.getElementById('exportFormat');
+        this.exportSampleRate = document.getElementById('exportSampleRate');
+        this.exportBitDepth = document.getElementById('exportBitDepth');
+        this.exportChannels = document.getElementById('exportChannels');
+        this.exportSeed = document.getElementById('exportSeed');
+        this.exportAudioButton = document.getElementById('exportButton');
+        this.exportProgress = document.getElementById('exportProgress');
+        this.exportStatus = document.getElementById('exportStatus');
+        this.shortcutsButton = document.getElementById('shortcutsButton');
+        this.shortcutsDialog = document.getElementById('shortcutsDialog');
+        this.shortcutList = document.getElementById('shortcutList');
+        this.announcer = document.getElementById('announcer');
+        this.autoplayPrompt = document.getElementById('autoplayPrompt');
+        this.autoplayDetail = document.getElementById('autoplayDetail');
+        this.updateBanner = document.getElementById('updateBanner');
+        this.updateMessage = document.getElementById('updateMessage');
+        this.updateButton = document.getElementById('updateButton');
 
         // Bind methods
         this.togglePlay = this.togglePlay.bind(this);
         this.handleNoiseSelect = this.handleNoiseSelect.bind(this);
+        this.handleTimerSelect = this.handleTimerSelect.bind(this);
+        this.updateSleepTimer = this.updateSleepTimer.bind(this);
+        this.updateProgramRun = this.updateProgramRun.bind(this);
+        this.updateSafety = this.updateSafety.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.checkAudio = this.checkAudio.bind(this);
 
         // Install hint element
         this.installHint = document.getElementById('installHint');
@@ -45,95 +625,463 @@ class WhoaNoise {
     async init() {
         // Load saved state before setting up UI
         this.loadState();
+        this.loadPresets();
+        this.loadPrograms();
+        this.loadExposure();
+
+        // A shared link overrides the saved state, and deep link
+        // parameters override both
+        this.applySharedPreset(false);
+        const autoplay = this.applyLaunchParams();
+
+        // Find out whether another window is playing, and follow what
+        // the other windows save
+        this.tabs.post({ type: 'hello' });
+        window.addEventListener('storage', (event) => this.handleStorage(event));
+        window.addEventListener('pagehide', () => {
+            if (this.isPlaying) {
+                this.tabs.post({ type: 'stopped' });
+            }
+        });
 
         // Set up event listeners
         this.playButton.addEventListener('click', this.togglePlay);
         this.noiseGrid.addEventListener('click', this.handleNoiseSelect);
+        this.noiseGrid.addEventListener('keydown', (event) => this.handleNoiseGridKey(event));
+        this.colorSlider.addEventListener('input', () => this.updateColorSlope());
+
+        // Layer mixer
+        this.addLayerButton.addEventListener('click', () => this.addLayer());
+
+        // Entrainment tones
+        this.toneEnabled.addEventListener('change', () => {
+            this.updateTones({ enabled: this.toneEnabled.checked });
+        });
+        this.toneMode.addEventListener('change', () => {
+            this.updateTones({ mode: this.toneMode.value });
+        });
+        for (const [value, name] of Object.entries(TONE_MODES)) {
+            this.toneMode.add(new Option(name, value));
+        }
+        for (const name of ['carrier', 'beat', 'level']) {
+            const slider = this[`tone${name[0].toUpperCase()}${name.slice(1)}Slider`];
+            slider.addEventListener('input', () => {
+                this.updateTones({ [name]: parseFloat(slider.value) });
+            });
+        }
+
+        // Modulation
+        this.addModulatorButton.addEventListener('click', () => this.addModulator());
+
+        // Presets
+        this.presetForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.savePreset(this.presetName.value);
+        });
+        this.exportButton.addEventListener('click', () => this.exportPresets());
+        this.importButton.addEventListener('click', () => this.importFile.click());
+        this.importFile.addEventListener('change', () => this.importPresets());
+        this.trackPresets.addEventListener('change', () => {
+            this.settings.trackButtons = this.trackPresets.checked ? 'presets' : 'types';
+            this.saveState();
+        });
+        window.addEventListener('hashchange', () => this.applySharedPreset(true));
+
+        // Spectrum analyzer
+        this.spectrum = new SpectrumDisplay(document.getElementById('spectrumCanvas'), {
+            fill: document.getElementById('meterFill'),
+            peak: document.getElementById('meterPeak'),
+            value: document.getElementById('meterValue')
+        });
+        [this.spectrumEnabled, this.spectrumAveraging, this.spectrumPeakHold].forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.settings.spectrum = this.spectrumEnabled.checked;
+                this.settings.spectrumAveraging = this.spectrumAveraging.checked;
+                this.settings.spectrumPeakHold = this.spectrumPeakHold.checked;
+                this.updateSpectrum();
+                this.saveState();
+            });
+        });
+        // No drawing while the page is in the background
+        document.addEventListener('visibilitychange', () => this.updateSpectrum());
+
+        // Interruptions often end when the page comes back or the output
+        // device changes, so check the audio then
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.updateAudioState();
+            }
+        });
+        window.addEventListener('pageshow', () => this.updateAudioState());
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.updateAudioState());
+        }
+        this.autoResumeEnabled.addEventListener('change', () => {
+            this.settings.autoResume = this.autoResumeEnabled.checked;
+            this.updateAudioState();
+            this.saveState();
+        });
 
-        // EQ sliders
-        this.lowSlider.addEventListener('input', () => this.updateEQ('low'));
-        this.midSlider.addEventListener('input', () => this.updateEQ('mid'));
-        this.highSlider.addEventListener('input', () => this.updateEQ('high'));
+        // Volume slider
+        this.volumeSlider.addEventListener('input', () => this.updateVolume());
+        this.widthSlider.addEventListener('input', () => this.updateStereoWidth());
+
+        // Listening exposure calibration
+        this.fullScaleInput.addEventListener('change', () => {
+            const value = parseFloat(this.fullScaleInput.value);
+            if (value >= MIN_FULL_SCALE_SPL && value <= MAX_FULL_SCALE_SPL) {
+                this.settings.fullScaleSpl = value;
+                this.saveState();
+            }
+            this.fullScaleInput.value = this.settings.fullScaleSpl;
+        });
+
+        // Parametric EQ
+        this.eqCurve = new EqualizerCurve(this.eqCurveCanvas, {
+            onChange: () => {
+                this.applyEqualizer();
+                this.renderEqBands();
+                this.updatePassDisplay();
+            },
+            onSelect: (index) => {
+                this.selectedEqBand = index;
+                this.renderEqBands();
+            }
+        });
+        for (const name of ['highpass', 'lowpass']) {
+            this[`${name}Enabled`].addEventListener('change', () => {
+                this.eq[name].enabled = this[`${name}Enabled`].checked;
+                this.applyEqualizer();
+            });
+            this[`${name}Slider`].addEventListener('input', () => {
+                this.eq[name].frequency = Math.round(positionToFrequency(parseFloat(this[`${name}Slider`].value)));
+                this.updatePassDisplay();
+                this.applyEqualizer();
+            });
+        }
+
+        // Tinnitus relief
+        for (const [value, name] of Object.entries(TINNITUS_MODES)) {
+            this.tinnitusMode.add(new Option(name, value));
+        }
+        this.tinnitusMode.addEventListener('change', () => {
+            this.updateTinnitus({ mode: this.tinnitusMode.value });
+        });
+        this.tinnitusWidth.addEventListener('input', () => {
+            this.updateTinnitus({ width: parseFloat(this.tinnitusWidth.value) });
+        });
+        this.tinnitusDepth.addEventListener('input', () => {
+            this.updateTinnitus({ depth: parseFloat(this.tinnitusDepth.value) });
+        });
+
+        // Tinnitus pitch-matching wizard
+        WIZARD_FREQUENCIES.forEach(frequency => {
+            const button = document.createElement('button');
+            button.className = 'timer-btn';
+            button.dataset.frequency = frequency;
+            button.textContent = formatFrequency(frequency);
+            this.wizardFrequencies.appendChild(button);
+        });
+        this.tinnitusMatchButton.addEventListener('click', () => this.openPitchWizard());
+        this.wizardFrequencies.addEventListener('click', (event) => {
+            const button = event.target.closest('.timer-btn');
+            if (!button) return;
+            this.wizardBase = parseFloat(button.dataset.frequency);
+            this.wizardOffset = 0;
+            this.playWizardTone();
+        });
+        this.wizardFine.addEventListener('input', () => {
+            this.wizardOffset = parseFloat(this.wizardFine.value);
+            this.playWizardTone();
+        });
+        this.wizardLevel.addEventListener('input', () => {
+            this.pitchMatcher.setLevel(parseFloat(this.wizardLevel.value) / 100);
+            this.wizardLevelValue.textContent = `${this.wizardLevel.value}%`;
+        });
+        this.wizardOctaveDown.addEventListener('click', () => this.shiftWizardOctave(-1));
+        this.wizardOctaveUp.addEventListener('click', () => this.shiftWizardOctave(1));
+        this.wizardPlay.addEventListener('click', () => {
+            if (this.pitchMatcher.playing) {
+                this.pitchMatcher.stop();
+                this.renderPitchWizard();
+            } else {
+                this.playWizardTone();
+            }
+        });
+        this.wizardSave.addEventListener('click', () => this.closePitchWizard(true));
+        document.getElementById('wizardCancel').addEventListener('click', () => this.closePitchWizard(false));
+
+        // Sleep timer
+        this.timerOptions.addEventListener('click', this.handleTimerSelect);
+        this.timerCustom.addEventListener('change', () => {
+            const minutes = Math.round(parseFloat(this.timerCustom.value));
+            this.setSleepTimer(minutes > 0 ? minutes : 0);
+        });
+
+        // Sequencer programs
+        this.programSelect.addEventListener('change', () => {
+            this.selectedProgram = parseInt(this.programSelect.value, 10);
+            this.renderPrograms();
+        });
+        this.newProgramButton.addEventListener('click', () => this.newProgram());
+        this.deleteProgramButton.addEventListener('click', () => this.deleteProgram());
+        this.programName.addEventListener('change', () => {
+            const program = this.programs[this.selectedProgram];
+            if (!program) return;
+            program.name = this.programName.value.trim().slice(0, MAX_PRESET_NAME_LENGTH) || program.name;
+            this.storePrograms();
+        });
+        this.addStageButton.addEventListener('click', () => this.addStage());
+        this.runProgramButton.addEventListener('click', () => {
+            if (this.programRun) {
+                this.clearProgramRun();
+            } else {
+                this.startProgram();
+            }
+        });
+
+        // Audio export
+        this.exportForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.exportAudio();
+        });
+
+        // New version banner
+        this.updateButton.addEventListener('click', () => this.applyUpdate());
+
+        // Deep link fallback when the browser blocks autoplay
+        this.autoplayPrompt.addEventListener('click', () => this.start());
+
+        // Keyboard shortcuts and their help overlay
+        document.addEventListener('keydown', this.handleKeydown);
+        this.shortcutsButton.addEventListener('click', () => this.openShortcuts());
+        document.getElementById('shortcutsClose').addEventListener('click', () => this.shortcutsDialog.close());
+        document.getElementById('shortcutsReset').addEventListener('click', () => {
+            this.settings.shortcuts = createShortcuts();
+            this.capturingShortcut = null;
+            this.renderShortcuts();
+            this.saveState();
+        });
+        this.shortcutsDialog.addEventListener('close', () => {
+            this.capturingShortcut = null;
+        });
 
         // Register service worker
         if ('serviceWorker' in navigator) {
             try {
-                await navigator.serviceWorker.register('sw.js');
+                const hadController = !!navigator.serviceWorker.controller;
+                const registration = await navigator.serviceWorker.register('sw.js');
                 console.log('Service Worker registered');
+                this.watchForUpdates(registration, hadController);
             } catch (error) {
                 console.log(`Service Worker registration failed: ${error}`);
             }
         }
 
         // Update initial slider displays from current values
-        this.updateSliderDisplay('low', parseFloat(this.lowSlider.value));
-        this.updateSliderDisplay('mid', parseFloat(this.midSlider.value));
-        this.updateSliderDisplay('high', parseFloat(this.highSlider.value));
+        this.updateColorDisplay();
+        this.renderSoundParams();
+        this.renderLayers();
+        this.renderTones();
+        this.renderPresets();
+        this.updateVolumeDisplay();
+        this.updateWidthDisplay();
+        this.fullScaleInput.value = this.settings.fullScaleSpl;
+        this.autoResumeEnabled.checked = this.settings.autoResume;
+        this.renderExposure();
+        this.renderEqualizer();
+        this.renderTinnitus();
+        this.renderModulators();
+        this.renderPrograms();
+        this.updateSpectrum();
+        this.updateTimerDisplay();
 
         // Set up iOS install hint
         this.setupInstallHint();
+
+        // Open to an embedding page and to scripts once everything is set up
+        this.api.start();
+        window.whoanoise = this.api.createScriptingInterface();
+
+        // Deep links can ask to start playing straight away
+        if (autoplay) {
+            this.autoplay();
+        }
     }
 
     async setupAudioGraph() {
         if (this.noiseNode) return;
 
-        // Load the noise processor worklet
+        // Load the noise (and tone) and modulation processor worklets
         try {
             await this.audioContext.audioWorklet.addModule('noise-processor.js');
+            await this.audioContext.audioWorklet.addModule('modulation-processor.js');
         } catch (e) {
             console.error('Failed to load audio worklet:', e);
             throw e;
         }
 
         // Create noise generator node
-        this.noiseNode = new AudioWorkletNode(this.audioContext, 'noise-processor');
+        this.noiseNode = this.createNoiseNode(this.currentNoiseType, this.colorSlope);
+        this.watchProcessor(this.noiseNode);
 
         // Send current noise type to the processor (in case user selected before playing)
-        this.noiseNode.port.postMessage({
-            type: 'setNoiseType',
-            noiseType: this.currentNoiseType
-        });
+        this.postNoiseType();
 
         // Create gain node for volume control
         this.gainNode = this.audioContext.createGain();
-        this.gainNode.gain.value = 0.5;
-
-        // Create 3-band EQ
-        // Low shelf filter (affects frequencies below 320Hz)
-        this.eqLow = this.audioContext.createBiquadFilter();
-        this.eqLow.type = 'lowshelf';
-        this.eqLow.frequency.value = 320;
-        this.eqLow.gain.value = 0;
-
-        // Mid peaking filter (centered at 1kHz)
-        this.eqMid = this.audioContext.createBiquadFilter();
-        this.eqMid.type = 'peaking';
-        this.eqMid.frequency.value = 1000;
-        this.eqMid.Q.value = 0.5;
-        this.eqMid.gain.value = 0;
-
-        // High shelf filter (affects frequencies above 3.2kHz)
-        this.eqHigh = this.audioContext.createBiquadFilter();
-        this.eqHigh.type = 'highshelf';
-        this.eqHigh.frequency.value = 3200;
-        this.eqHigh.gain.value = 0;
+        this.gainNode.gain.value = this.getOutputGain();
+
+        // Create the parametric EQ, followed by the tinnitus notch or
+        // narrow-band filters (an empty chain while they are off)
+        this.equalizer = new EqualizerChain(this.audioContext, this.eq);
+        this.tinnitusFilter = new EqualizerChain(this.audioContext, tinnitusEq(this.settings.tinnitus));
+        this.applyTinnitusFilter(this.tinnitusFilter);
+
+        // Volume modulation gets its own gain so it never fights the
+        // volume slider or the sleep fade
+        this.modulationGain = this.audioContext.createGain();
+
+        // Everything passes through the limiter on its way out
+        this.limiter = new Limiter(this.audioContext);
 
         // Connect the audio graph
-        this.noiseNode
-            .connect(this.eqLow)
-            .connect(this.eqMid)
-            .connect(this.eqHigh)
+        this.noiseNode.connect(this.equalizer.input);
+        this.equalizer.output
+            .connect(this.tinnitusFilter.input);
+        this.tinnitusFilter.output
             .connect(this.gainNode)
-            .connect(this.audioContext.destination);
+            .connect(this.modulationGain)
+            .connect(this.limiter.input);
+        this.limiter.output.connect(this.audioContext.destination);
+
+        // Tones join after the EQ, so their level stays relative to the
+        // noise bed and follows the volume
+        this.toneNode = this.createToneNode();
+        this.watchProcessor(this.toneNode);
+        this.toneNode.connect(this.gainNode);
+
+        // Tap the output for the spectrum display and exposure tracking
+        this.analyser = this.audioContext.createAnalyser();
+        this.limiter.output.connect(this.analyser);
+        this.levelMeter = new LevelMeter(this.audioContext);
+        this.limiter.output.connect(this.levelMeter.analyser);
+
+        // Mix in any saved layers
+        this.layers.forEach(layer => this.connectLayer(layer));
+
+        // Start the modulators
+        this.modulation = new ModulationBank(this.audioContext);
+        this.applyModulation();
+    }
+
+    /**
+     * Rebuild the audio if a live processor throws
+     */
+    watchProcessor(node) {
+        node.addEventListener('processorerror', () => {
+            this.recoverAudio('a processor error', false);
+        });
+    }
+
+    /**
+     * Disconnect and forget every node of the live graph, so
+     * setupAudioGraph() builds it afresh
+     */
+    teardownAudioGraph() {
+        const sources = [this.noiseNode, this.toneNode];
+        this.layerNodes.forEach(nodes => sources.push(nodes.source));
+        sources.forEach(node => {
+            if (!node) return;
+            node.port.postMessage({ type: 'dispose' });
+            node.disconnect();
+        });
+        this.layerNodes.clear();
+
+        if (this.modulation) {
+            this.modulation.update([]);
+        }
+        if (this.limiter) {
+            this.limiter.output.disconnect();
+        }
+
+        this.noiseNode = null;
+        this.toneNode = null;
+        this.gainNode = null;
+        this.equalizer = null;
+        this.tinnitusFilter = null;
+        this.modulation = null;
+        this.modulationGain = null;
+        this.limiter = null;
+        this.analyser = null;
+        this.levelMeter = null;
+    }
+
+    createAudioContext() {
+        const context = new (window.AudioContext || window.webkitAudioContext)();
+        context.addEventListener('statechange', () => {
+            if (context === this.audioContext) {
+                this.updateAudioState();
+            }
+        });
+        return context;
+    }
+
+    /**
+     * Create a noise processor node playing the given noise type
+     * Options: context (defaults to the live one), seed, stereoWidth (0-100)
+     */
+    createNoiseNode(noiseType, slope, options = {}) {
+        const {
+            context = this.audioContext,
+            seed,
+            stereoWidth = this.stereoWidth
+        } = options;
+
+        const node = new AudioWorkletNode(context, 'noise-processor', {
+            outputChannelCount: [2],
+            processorOptions: {
+                noiseType: this.getProcessorType(noiseType),
+                slope,
+                soundParams: this.soundParams,
+                stereoWidth: stereoWidth / 100,
+                seed
+            }
+        });
+
+        // Fade between generators instead of cutting when switching types
+        node.port.postMessage({
+            type: 'setCrossfadeTime',
+            seconds: NOISE_CROSSFADE_SECONDS
+        });
+
+        return node;
+    }
+
+    /**
+     * Create a tone processor node with the current tone settings
+     */
+    createToneNode(context = this.audioContext) {
+        return new AudioWorkletNode(context, 'tone-processor', {
+            numberOfInputs: 0,
+            outputChannelCount: [2],
+            processorOptions: this.tones
+        });
+    }
 
-        // Apply current slider values
-        this.updateEQ('low');
-        this.updateEQ('mid');
-        this.updateEQ('high');
+    /**
+     * All noise processor nodes currently playing (main sound and layers)
+     */
+    getSourceNodes() {
+        const nodes = this.noiseNode ? [this.noiseNode] : [];
+        this.layerNodes.forEach(layer => nodes.push(layer.source));
+        return nodes;
     }
 
     async togglePlay() {
-        if (!this.isPlaying) {
+        if (this.interrupted) {
+            this.resumeAudio();
+        } else if (!this.isPlaying) {
             await this.start();
         } else {
             this.stop();
@@ -141,14 +1089,29 @@ class WhoaNoise {
     }
 
     async start() {
+        this.autoplayPrompt.hidden = true;
+
+        // Already playing: only an interruption needs anything doing
+        if (this.isPlaying) {
+            if (this.interrupted) {
+                this.resumeAudio();
+            }
+            return;
+        }
+
         try {
-            // 1. Initialize Context (Sync)
+            // 1. Initialize Context (Sync), replacing one that has failed
+            if (this.audioContext && this.audioContext.state === 'closed') {
+                this.teardownAudioGraph();
+                this.audioContext = null;
+            }
             if (!this.audioContext) {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                this.audioContext = this.createAudioContext();
             }
 
             // 2. Resume Context (User Gesture Sensitive - must happen early)
-            if (this.audioContext.state === 'suspended') {
+            // iOS leaves it 'interrupted' rather than suspended after a call
+            if (this.audioContext.state !== 'running') {
                 await this.audioContext.resume();
             }
 
@@ -172,11 +1135,23 @@ class WhoaNoise {
             this.isPlaying = true;
             this.updatePlayButton();
             this.setupMediaSession();
+            this.announce(`Playing ${this.getNoiseName()}`);
+
+            // Any other window playing stops for this one
+            this.playClaim = Date.now();
+            this.remotePlayer = null;
+            this.tabs.post({ type: 'playing', since: this.playClaim });
 
             // 5. Initialize Nodes & Worklet (Async, heavy)
             // This might take a moment, but UI is already updated
             await this.setupAudioGraph();
 
+            // 6. Arm the sleep timer now that the gain node exists
+            this.startSleepTimer();
+            this.startSafetyMonitor();
+            this.startAudioCheck();
+            this.updateSpectrum();
+
         } catch (error) {
             console.error('Failed to start audio:', error);
             // If main audio init failed, we should revert the UI
@@ -185,6 +1160,14 @@ class WhoaNoise {
     }
 
     stop() {
+        // Cancel any running countdown and restore the gain for next time
+        this.clearSleepTimer();
+        this.clearProgramRun();
+        this.stopSafetyMonitor();
+        this.stopAudioCheck();
+        this.interrupted = false;
+        this.renderPlaybackStatus();
+
         if (this.audioContext && this.audioContext.state === 'running') {
             this.audioContext.suspend();
         }
@@ -194,163 +1177,2820 @@ class WhoaNoise {
             this.mediaElement.pause();
         }
 
+        if (this.isPlaying) {
+            this.announce('Stopped');
+            this.tabs.post({ type: 'stopped' });
+        }
         this.isPlaying = false;
         this.updatePlayButton();
         this.updateMediaMetadata();
-    }
+        this.updateSpectrum();
 
-    updatePlayButton() {
-        // Use requestAnimationFrame to ensure UI updates are picked up by the renderer
-        // This is crucial for Safari iOS which can sometimes miss UI updates during heavy async chains
-        requestAnimationFrame(() => {
-            this.playButton.classList.toggle('playing', this.isPlaying);
-            this.playLabel.textContent = this.isPlaying ? 'Stop' : 'Play';
-            // Force Safari to repaint (fixes iOS rendering bug with classList.toggle)
-            void this.playButton.offsetWidth;
-        });
+        // An update accepted during playback installs now
+        if (this.updatePending) {
+            this.applyUpdate();
+        }
     }
 
-    handleNoiseSelect(event) {
-        const button = event.target.closest('.noise-btn');
-        if (!button) return;
-
-        const noiseType = button.dataset.type;
-        if (noiseType === this.currentNoiseType) return;
-
-        // Update active state
-        this.noiseGrid.querySelectorAll('.noise-btn').forEach(btn => {
-            btn.classList.remove('active');
-        });
-        button.classList.add('active');
-
-        // Update noise type
-        this.currentNoiseType = noiseType;
+    /**
+     * Follow the audio context's real state
+     * While playing, any state other than running (suspended by the
+     * system, or iOS's 'interrupted') is an interruption; a closed
+     * context means the audio has to be rebuilt
+     */
+    updateAudioState() {
+        if (!this.isPlaying || this.recovering || !this.audioContext) return;
 
-        // Tell the audio worklet to change noise type
-        if (this.noiseNode) {
-            this.noiseNode.port.postMessage({
-                type: 'setNoiseType',
-                noiseType: noiseType
-            });
+        const state = this.audioContext.state;
+        if (state === 'closed') {
+            this.recoverAudio('the audio context closing', true);
+            return;
         }
 
-        // Update media session metadata
-        this.updateMediaMetadata();
+        const interrupted = state !== 'running';
+        if (interrupted !== this.interrupted) {
+            this.interrupted = interrupted;
+            this.updatePlayButton();
+            this.updatePlaybackState();
+            this.updateSpectrum();
+        }
+        this.renderPlaybackStatus();
 
-        // Persist state
-        this.saveState();
+        if (this.interrupted && this.settings.autoResume) {
+            this.resumeAudio();
+        }
     }
 
-    updateEQ(band) {
-        const slider = this[`${band}Slider`];
-        const value = parseFloat(slider.value);
+    /**
+     * Try to get the sound going again after an interruption
+     * Without a tap this can wait or fail until the system lets go of
+     * the audio, so the outcome arrives as a state change
+     */
+    resumeAudio() {
+        if (!this.audioContext || this.audioContext.state === 'closed') {
+            this.recoverAudio('the audio context closing', true);
+            return;
+        }
 
-        this.updateSliderDisplay(band, value);
+        this.audioContext.resume().catch(error => {
+            console.warn(`Failed to resume audio: ${error}`);
+        });
+        if (this.mediaElement && this.mediaElement.paused) {
+            this.mediaElement.play().catch(error => {
+                console.warn('Background audio anchor failed to play:', error);
+            });
+        }
+    }
 
-        // Apply to filter if audio is initialized
-        const filter = this[`eq${band.charAt(0).toUpperCase() + band.slice(1)}`];
-        if (filter) {
-            filter.gain.setValueAtTime(value, this.audioContext.currentTime);
+    renderPlaybackStatus() {
+        if (this.interrupted) {
+            this.playbackStatus.textContent = this.settings.autoResume
+                ? 'Interrupted, playback resumes when the audio is free'
+                : 'Interrupted, press Resume to carry on';
+        } else if (this.remotePlayer && !this.isPlaying) {
+            this.playbackStatus.textContent = 'Playing in another window, press Play to play here instead';
+        } else {
+            this.playbackStatus.textContent = '';
         }
+    }
 
-        // Persist state
-        this.saveState();
+    /**
+     * Check on the audio while playing: retry after interruptions, and
+     * rebuild it if the context claims to run but its clock stands still,
+     * which some browsers do after the output device goes away
+     */
+    startAudioCheck() {
+        if (this.audioCheckInterval) return;
+        this.audioCheckTime = this.audioContext.currentTime;
+        this.stalledChecks = 0;
+        this.audioCheckInterval = setInterval(this.checkAudio, AUDIO_CHECK_MS);
     }
 
-    updateSliderDisplay(band, value) {
-        const display = this[`${band}Value`];
-        const sign = value > 0 ? '+' : '';
-        display.textContent = `${sign}${value} dB`;
+    stopAudioCheck() {
+        if (this.audioCheckInterval) {
+            clearInterval(this.audioCheckInterval);
+            this.audioCheckInterval = null;
+        }
     }
 
-    setupMediaSession() {
-        if (!('mediaSession' in navigator)) return;
+    checkAudio() {
+        if (this.recovering) return;
 
-        this.updateMediaMetadata();
+        const time = this.audioContext.currentTime;
+        const stalled = this.audioContext.state === 'running' && time === this.audioCheckTime;
+        this.stalledChecks = stalled ? this.stalledChecks + 1 : 0;
+        this.audioCheckTime = time;
+
+        if (this.stalledChecks >= STALLED_CHECKS) {
+            this.recoverAudio('the audio clock stalling', true);
+        } else {
+            this.updateAudioState();
+        }
+    }
+
+    /**
+     * Rebuild the audio graph after a failure, keeping every setting
+     * A context that still works is kept, so the sleep timer and a
+     * running program carry on; a new one moves their times over to its
+     * clock, which pauses them for the time the sound was gone
+     */
+    async recoverAudio(reason, replaceContext) {
+        if (this.recovering || !this.isPlaying) return;
+        this.recovering = true;
+        console.warn(`Rebuilding audio after ${reason}`);
+
+        this.stopSafetyMonitor();
+        this.stopAudioCheck();
+        this.teardownAudioGraph();
+        this.updateSpectrum();
+
+        try {
+            if (replaceContext) {
+                const old = this.audioContext;
+                this.audioContext = this.createAudioContext();
+                this.shiftAudioClock(this.audioContext.currentTime - old.currentTime);
+                if (old.state !== 'closed') {
+                    old.close().catch(error => {
+                        console.warn(`Failed to close audio context: ${error}`);
+                    });
+                }
+            }
+
+            await this.setupAudioGraph();
+        } catch (error) {
+            console.error('Failed to rebuild audio:', error);
+            this.recovering = false;
+            this.stop();
+            return;
+        }
+
+        this.recovering = false;
+
+        // Stopped while the graph was being built
+        if (!this.isPlaying) {
+            if (this.audioContext.state === 'running') {
+                this.audioContext.suspend();
+            }
+            return;
+        }
+
+        this.applyGain();
+        this.startSafetyMonitor();
+        this.startAudioCheck();
+        this.updateSpectrum();
+
+        // A new context may need the system's permission to start
+        if (this.audioContext.state !== 'running') {
+            this.resumeAudio();
+        }
+        this.updateAudioState();
+    }
+
+    /**
+     * Move times kept on the audio clock by an offset (seconds)
+     */
+    shiftAudioClock(offset) {
+        if (this.sleepTimerEnd !== null) {
+            this.sleepTimerEnd += offset;
+            this.sleepTimerFadeStart += offset;
+        }
+        if (this.programRun) {
+            this.programRun.startTime += offset;
+        }
+    }
+
+    /**
+     * Run the spectrum display only while it's shown, playing and visible
+     */
+    updateSpectrum() {
+        this.spectrumEnabled.checked = this.settings.spectrum;
+        this.spectrumAveraging.checked = this.settings.spectrumAveraging;
+        this.spectrumPeakHold.checked = this.settings.spectrumPeakHold;
+        this.spectrumDisplay.hidden = !this.settings.spectrum;
+        this.spectrumAveraging.disabled = !this.settings.spectrum;
+        this.spectrumPeakHold.disabled = !this.settings.spectrum;
+
+        this.spectrum.setOptions({
+            averaging: this.settings.spectrumAveraging,
+            peakHold: this.settings.spectrumPeakHold
+        });
+
+        if (this.settings.spectrum && this.isPlaying && this.analyser && !document.hidden) {
+            this.spectrum.start(this.analyser);
+        } else {
+            this.spectrum.stop();
+        }
+    }
+
+    updatePlayButton() {
+        this.api.stateChanged();
+
+        // Use requestAnimationFrame to ensure UI updates are picked up by the renderer
+        // This is crucial for Safari iOS which can sometimes miss UI updates during heavy async chains
+        requestAnimationFrame(() => {
+            this.playButton.classList.toggle('playing', this.isPlaying);
+            this.playButton.classList.toggle('interrupted', this.interrupted);
+            this.playLabel.textContent = this.interrupted ? 'Resume' : this.isPlaying ? 'Stop' : 'Play';
+            // Force Safari to repaint (fixes iOS rendering bug with classList.toggle)
+            void this.playButton.offsetWidth;
+        });
+    }
+
+    handleNoiseSelect(event) {
+        const button = event.target.closest('.noise-btn');
+        if (!button) return;
+
+        this.setNoiseType(button.dataset.type);
+    }
+
+    /**
+     * Switch the main sound, fading over the given time (seconds)
+     */
+    setNoiseType(noiseType, crossfade = NOISE_CROSSFADE_SECONDS) {
+        if (noiseType === this.currentNoiseType) return;
+
+        // Update noise type (color buttons are presets on the slope slider)
+        this.currentNoiseType = noiseType;
+        if (noiseType in COLOR_PRESETS) {
+            this.colorSlope = COLOR_PRESETS[noiseType];
+            this.colorSlider.value = this.colorSlope;
+            this.updateColorDisplay();
+        }
+        this.updateNoiseButtons();
+        this.renderSoundParams();
+
+        // Tell the audio worklet to change noise type
+        this.postNoiseType(crossfade);
+
+        // Update media session metadata
+        this.updateMediaMetadata();
+        this.announce(this.getNoiseName());
+
+        // Persist state
+        this.saveState();
+    }
+
+    updateColorSlope() {
+        this.colorSlope = parseFloat(this.colorSlider.value);
+
+        // Light up the matching preset, if any
+        const preset = Object.keys(COLOR_PRESETS).find(type => COLOR_PRESETS[type] === this.colorSlope);
+        this.currentNoiseType = preset || 'color';
+        this.updateNoiseButtons();
+        this.renderSoundParams();
+        this.updateColorDisplay();
+
+        this.postNoiseType();
+        this.updateMediaMetadata();
+
+        // Persist state
+        this.saveState();
+    }
+
+    updateColorDisplay() {
+        const sign = this.colorSlope > 0 ? '+' : '';
+        this.colorValue.textContent = `${sign}${this.colorSlope} dB/oct`;
+    }
+
+    /**
+     * Light up the selected sound
+     * The grid is a radio group with one tab stop: the selected sound, or
+     * the first one while a custom color plays
+     */
+    updateNoiseButtons() {
+        const buttons = this.noiseGrid.querySelectorAll('.noise-btn');
+        const hasSelection = Array.from(buttons).some(btn => btn.dataset.type === this.currentNoiseType);
+        buttons.forEach((btn, index) => {
+            const selected = btn.dataset.type === this.currentNoiseType;
+            btn.classList.toggle('active', selected);
+            btn.setAttribute('aria-checked', String(selected));
+            btn.tabIndex = selected || (!hasSelection && index === 0) ? 0 : -1;
+        });
+    }
+
+    /**
+     * Arrow keys move through the grid, selecting as they go
+     */
+    handleNoiseGridKey(event) {
+        const button = event.target.closest('.noise-btn');
+        if (!button) return;
+
+        const buttons = Array.from(this.noiseGrid.querySelectorAll('.noise-btn'));
+        const index = buttons.indexOf(button);
+        const moves = {
+            ArrowRight: index + 1,
+            ArrowDown: index + 1,
+            ArrowLeft: index - 1,
+            ArrowUp: index - 1,
+            Home: 0,
+            End: buttons.length - 1
+        };
+        if (!(event.key in moves)) return;
+
+        event.preventDefault();
+        const next = buttons[(moves[event.key] + buttons.length) % buttons.length];
+        next.focus();
+        this.setNoiseType(next.dataset.type);
+    }
+
+    /**
+     * Display name of the main sound
+     */
+    getNoiseName() {
+        const sign = this.colorSlope > 0 ? '+' : '';
+        return NOISE_NAMES[this.currentNoiseType] || `Custom Noise (${sign}${this.colorSlope} dB/oct)`;
+    }
+
+    /**
+     * Build the parameter sliders for the selected soundscape
+     */
+    renderSoundParams() {
+        const sound = this.currentNoiseType;
+        const controls = SOUND_CONTROLS[sound];
+
+        this.soundParamsPanel.replaceChildren();
+        this.soundParamsPanel.hidden = !controls;
+        if (!controls) return;
+
+        controls.forEach(control => {
+            const id = `${sound}-${control.name}`;
+            const value = this.soundParams[sound][control.name];
+
+            const row = document.createElement('div');
+            row.className = 'eq-slider';
+
+            const label = document.createElement('label');
+            label.className = 'eq-label';
+            label.htmlFor = id;
+            label.textContent = control.label;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.id = id;
+            slider.className = 'slider';
+            slider.min = control.min;
+            slider.max = control.max;
+            slider.step = control.step;
+            slider.value = value;
+
+            const display = document.createElement('span');
+            display.className = 'eq-value';
+            display.textContent = formatSoundParam(control, value);
+
+            slider.addEventListener('input', () => {
+                const newValue = parseFloat(slider.value);
+                display.textContent = formatSoundParam(control, newValue);
+                this.updateSoundParam(sound, control.name, newValue);
+            });
+
+            row.append(label, slider, display);
+            this.soundParamsPanel.appendChild(row);
+        });
+    }
+
+    updateSoundParam(sound, name, value) {
+        this.soundParams[sound][name] = value;
+
+        this.getSourceNodes().forEach(node => {
+            node.port.postMessage({
+                type: 'setSoundParams',
+                sound,
+                params: { [name]: value }
+            });
+        });
+
+        // Persist state
+        this.saveState();
+    }
+
+    /**
+     * Name of the processor generator for a noise type
+     */
+    getProcessorType(noiseType = this.currentNoiseType) {
+        const isColor = noiseType === 'color' || noiseType in COLOR_PRESETS;
+        return isColor ? 'color' : noiseType;
+    }
+
+    postNoiseType(crossfade = NOISE_CROSSFADE_SECONDS) {
+        if (!this.noiseNode) return;
+
+        this.noiseNode.port.postMessage({
+            type: 'setCrossfadeTime',
+            seconds: crossfade
+        });
+        this.noiseNode.port.postMessage({
+            type: 'setSlope',
+            slope: this.colorSlope
+        });
+        this.noiseNode.port.postMessage({
+            type: 'setNoiseType',
+            noiseType: this.getProcessorType()
+        });
+
+        // Narrow-band makeup gain depends on the noise color
+        if (this.tinnitusFilter) {
+            this.applyTinnitusFilter(this.tinnitusFilter);
+        }
+    }
+
+    addLayer() {
+        if (this.layers.length >= MAX_LAYERS) return;
+
+        const layer = {
+            id: this.nextLayerId++,
+            noiseType: 'pink',
+            gain: 50,
+            muted: false,
+            pan: 0,
+            eq: { low: 0, high: 0 }
+        };
+        this.layers.push(layer);
+        this.connectLayer(layer);
+        this.renderLayers();
+
+        // Persist state
+        this.saveState();
+    }
+
+    removeLayer(id) {
+        this.layers = this.layers.filter(layer => layer.id !== id);
+        this.disconnectLayer(id);
+        this.renderLayers();
+
+        // Persist state
+        this.saveState();
+    }
+
+    updateLayer(id, changes) {
+        const layer = this.layers.find(item => item.id === id);
+        if (!layer) return;
+
+        Object.assign(layer, changes);
+        this.applyLayer(layer);
+
+        // Persist state
+        this.saveState();
+    }
+
+    /**
+     * Build a layer's nodes and feed them into the shared EQ chain
+     */
+    connectLayer(layer) {
+        if (!this.equalizer || this.layerNodes.has(layer.id)) return;
+
+        const nodes = this.createLayerChain(layer);
+        this.watchProcessor(nodes.source);
+
+        // Start silent and fade in
+        nodes.gain.gain.value = 0;
+        nodes.gain.connect(this.equalizer.input);
+
+        this.layerNodes.set(layer.id, { ...nodes, noiseType: layer.noiseType });
+        this.applyLayer(layer);
+
+        // Width modulation reaches the new layer too
+        this.applyModulation();
+    }
+
+    /**
+     * Create a layer's nodes with its current settings, unconnected at the end
+     * Layer chain: noise -> low shelf -> high shelf -> pan -> gain
+     * Options are passed on to createNoiseNode
+     */
+    createLayerChain(layer, options = {}) {
+        const context = options.context || this.audioContext;
+        const slope = COLOR_PRESETS[layer.noiseType] || 0;
+        const source = this.createNoiseNode(layer.noiseType, slope, options);
+
+        const low = context.createBiquadFilter();
+        low.type = 'lowshelf';
+        low.frequency.value = 320;
+        low.gain.value = layer.eq.low;
+
+        const high = context.createBiquadFilter();
+        high.type = 'highshelf';
+        high.frequency.value = 3200;
+        high.gain.value = layer.eq.high;
+
+        const panner = context.createStereoPanner();
+        panner.pan.value = layer.pan / 100;
+
+        const gain = context.createGain();
+        gain.gain.value = this.getLayerLevel(layer);
+
+        source
+            .connect(low)
+            .connect(high)
+            .connect(panner)
+            .connect(gain);
+
+        return { source, low, high, panner, gain };
+    }
+
+    /**
+     * Linear gain for a layer's fader (squared for a natural taper)
+     */
+    getLayerLevel(layer) {
+        return layer.muted ? 0 : (layer.gain / 100) * (layer.gain / 100);
+    }
+
+    /**
+     * Fade a layer out, then release its nodes
+     */
+    disconnectLayer(id) {
+        const nodes = this.layerNodes.get(id);
+        if (!nodes) return;
+        this.layerNodes.delete(id);
+
+        const now = this.audioContext.currentTime;
+        nodes.gain.gain.cancelScheduledValues(now);
+        nodes.gain.gain.setValueAtTime(nodes.gain.gain.value, now);
+        nodes.gain.gain.linearRampToValueAtTime(0, now + VOLUME_RAMP_SECONDS);
+
+        setTimeout(() => {
+            nodes.gain.disconnect();
+            // Let the processor stop so the node can be garbage collected
+            nodes.source.port.postMessage({ type: 'dispose' });
+            nodes.source.disconnect();
+        }, 200);
+    }
+
+    /**
+     * Push a layer's settings to its audio nodes
+     */
+    applyLayer(layer) {
+        const nodes = this.layerNodes.get(layer.id);
+        if (!nodes) return;
+
+        if (nodes.noiseType !== layer.noiseType) {
+            nodes.noiseType = layer.noiseType;
+            nodes.source.port.postMessage({
+                type: 'setSlope',
+                slope: COLOR_PRESETS[layer.noiseType] || 0
+            });
+            nodes.source.port.postMessage({
+                type: 'setNoiseType',
+                noiseType: this.getProcessorType(layer.noiseType)
+            });
+        }
+
+        const now = this.audioContext.currentTime;
+        nodes.gain.gain.cancelScheduledValues(now);
+        nodes.gain.gain.setValueAtTime(nodes.gain.gain.value, now);
+        nodes.gain.gain.linearRampToValueAtTime(this.getLayerLevel(layer), now + VOLUME_RAMP_SECONDS);
+
+        nodes.panner.pan.setTargetAtTime(layer.pan / 100, now, VOLUME_RAMP_SECONDS);
+        nodes.low.gain.setTargetAtTime(layer.eq.low, now, VOLUME_RAMP_SECONDS);
+        nodes.high.gain.setTargetAtTime(layer.eq.high, now, VOLUME_RAMP_SECONDS);
+    }
+
+    /**
+     * Build the mixer strip for every layer
+     */
+    renderLayers() {
+        this.layerList.replaceChildren();
+        this.addLayerButton.disabled = this.layers.length >= MAX_LAYERS;
+
+        // Layers can play anything from the noise grid
+        const types = this.getNoiseTypeOptions();
+
+        this.layers.forEach((layer, index) => {
+            const card = document.createElement('div');
+            card.className = 'layer-card';
+
+            const header = document.createElement('div');
+            header.className = 'layer-header';
+
+            const select = document.createElement('select');
+            select.className = 'layer-type';
+            select.setAttribute('aria-label', `Layer ${index + 1} sound`);
+            types.forEach(({ type, name }) => {
+                select.add(new Option(name, type, false, type === layer.noiseType));
+            });
+            select.addEventListener('change', () => {
+                this.updateLayer(layer.id, { noiseType: select.value });
+            });
+
+            const mute = document.createElement('button');
+            mute.className = 'layer-btn';
+            mute.textContent = 'Mute';
+            mute.setAttribute('aria-pressed', String(layer.muted));
+            mute.addEventListener('click', () => {
+                this.updateLayer(layer.id, { muted: !layer.muted });
+                mute.setAttribute('aria-pressed', String(layer.muted));
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'layer-btn';
+            remove.textContent = '✕';
+            remove.setAttribute('aria-label', `Remove layer ${index + 1}`);
+            remove.addEventListener('click', () => this.removeLayer(layer.id));
+
+            header.append(select, mute, remove);
+            card.appendChild(header);
+
+            const controls = [
+                { label: 'Level', min: 0, max: 100, step: 1, get: () => layer.gain,
+                    set: value => ({ gain: value }), format: value => `${value}%` },
+                { label: 'Pan', min: -100, max: 100, step: 1, get: () => layer.pan,
+                    set: value => ({ pan: value }), format: formatPan },
+                { label: 'Low', min: -12, max: 12, step: 0.5, get: () => layer.eq.low,
+                    set: value => ({ eq: { ...layer.eq, low: value } }), format: formatGain },
+                { label: 'High', min: -12, max: 12, step: 0.5, get: () => layer.eq.high,
+                    set: value => ({ eq: { ...layer.eq, high: value } }), format: formatGain }
+            ];
+
+            controls.forEach(control => {
+                const row = document.createElement('div');
+                row.className = 'eq-slider';
+
+                const id = `layer${layer.id}-${control.label.toLowerCase()}`;
+                const label = document.createElement('label');
+                label.className = 'eq-label';
+                label.htmlFor = id;
+                label.textContent = control.label;
+
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.id = id;
+                slider.className = 'slider';
+                slider.min = control.min;
+                slider.max = control.max;
+                slider.step = control.step;
+                slider.value = control.get();
+
+                const display = document.createElement('span');
+                display.className = 'eq-value';
+                display.textContent = control.format(control.get());
+
+                slider.addEventListener('input', () => {
+                    const value = parseFloat(slider.value);
+                    display.textContent = control.format(value);
+                    this.updateLayer(layer.id, control.set(value));
+                });
+
+                row.append(label, slider, display);
+                card.appendChild(row);
+            });
+
+            this.layerList.appendChild(card);
+        });
+    }
+
+    updateTones(changes) {
+        Object.assign(this.tones, changes);
+        this.renderTones();
+        this.postTones();
+        this.saveState();
+    }
+
+    postTones() {
+        if (!this.toneNode) return;
+        this.toneNode.port.postMessage({ type: 'setTone', ...this.tones });
+    }
+
+    renderTones() {
+        const tones = this.tones;
+        this.toneEnabled.checked = tones.enabled;
+        this.toneMode.value = tones.mode;
+        this.toneCarrierSlider.value = tones.carrier;
+        this.toneBeatSlider.value = tones.beat;
+        this.toneLevelSlider.value = tones.level;
+        this.toneCarrierValue.textContent = `${Math.round(tones.carrier)} Hz`;
+        this.toneBeatValue.textContent = `${tones.beat} Hz`;
+        this.toneLevelValue.textContent = `${tones.level} dB`;
+
+        // Binaural beats only form when each ear hears its own carrier
+        this.toneHint.hidden = tones.mode !== 'binaural';
+    }
+
+    addModulator() {
+        if (this.modulators.length >= MAX_MODULATORS) return;
+
+        this.modulators.push({ id: this.nextModulatorId++, ...createModulator() });
+        this.renderModulators();
+        this.applyModulation();
+
+        // Persist state
+        this.saveState();
+    }
+
+    removeModulator(id) {
+        this.modulators = this.modulators.filter(modulator => modulator.id !== id);
+        this.renderModulators();
+        this.applyModulation();
+
+        // Persist state
+        this.saveState();
+    }
+
+    updateModulator(id, changes) {
+        const modulator = this.modulators.find(item => item.id === id);
+        if (!modulator) return;
+
+        Object.assign(modulator, changes);
+        this.applyModulation();
+
+        // Persist state
+        this.saveState();
+    }
+
+    /**
+     * Sync the modulation sources with the modulators and route them
+     */
+    applyModulation() {
+        if (!this.modulation) return;
+
+        this.modulation.update(this.modulators);
+        this.modulation.connect(this.modulators, {
+            volume: this.modulationGain.gain,
+            width: this.getSourceNodes().map(node => node.parameters.get('widthModulation')),
+            band: index => this.equalizer.getBand(index)
+        });
+    }
+
+    /**
+     * Build a card for every modulator
+     */
+    renderModulators() {
+        this.modulatorList.replaceChildren();
+        this.addModulatorButton.disabled = this.modulators.length >= MAX_MODULATORS;
+
+        // Volume, width, or the gain or frequency of any EQ band
+        const targets = [
+            { value: 'volume', name: 'Volume' },
+            { value: 'width', name: 'Width' }
+        ];
+        this.eq.bands.forEach((band, index) => {
+            targets.push({ value: `gain:${index}`, name: `Band ${index + 1} gain` });
+            targets.push({ value: `frequency:${index}`, name: `Band ${index + 1} freq` });
+        });
+
+        // Period slider runs on a log scale from seconds to minutes
+        const periodToPosition = period => Math.log(period / MIN_PERIOD) / Math.log(MAX_PERIOD / MIN_PERIOD);
+        const positionToPeriod = position => Math.round(MIN_PERIOD * Math.pow(MAX_PERIOD / MIN_PERIOD, position));
+
+        this.modulators.forEach((modulator, index) => {
+            const card = document.createElement('div');
+            card.className = 'layer-card';
+
+            const header = document.createElement('div');
+            header.className = 'layer-header';
+
+            const current = modulator.target === 'gain' || modulator.target === 'frequency'
+                ? `${modulator.target}:${modulator.band}`
+                : modulator.target;
+            const target = document.createElement('select');
+            target.className = 'layer-type';
+            target.setAttribute('aria-label', `Modulator ${index + 1} target`);
+            targets.forEach(({ value, name }) => {
+                target.add(new Option(name, value, false, value === current));
+            });
+            target.addEventListener('change', () => {
+                const [name, band] = target.value.split(':');
+                this.updateModulator(modulator.id, { target: name, band: band ? parseInt(band, 10) : 0 });
+            });
+
+            const shape = document.createElement('select');
+            shape.className = 'layer-type';
+            shape.setAttribute('aria-label', `Modulator ${index + 1} shape`);
+            for (const [value, name] of Object.entries(MODULATION_SHAPES)) {
+                shape.add(new Option(name, value, false, value === modulator.shape));
+            }
+            shape.addEventListener('change', () => {
+                this.updateModulator(modulator.id, { shape: shape.value });
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'layer-btn';
+            remove.textContent = '✕';
+            remove.setAttribute('aria-label', `Remove modulator ${index + 1}`);
+            remove.addEventListener('click', () => this.removeModulator(modulator.id));
+
+            header.append(target, shape, remove);
+            card.appendChild(header);
+
+            const controls = [
+                { label: 'Depth', min: 0, max: 100, step: 1, get: () => modulator.depth,
+                    set: value => ({ depth: value }), format: () => `${modulator.depth}%` },
+                { label: 'Rate', min: 0, max: 1, step: 0.001, get: () => periodToPosition(modulator.period),
+                    set: value => ({ period: positionToPeriod(value) }), format: () => formatPeriod(modulator.period) }
+            ];
+
+            controls.forEach(control => {
+                const row = document.createElement('div');
+                row.className = 'eq-slider';
+
+                const id = `modulator${modulator.id}-${control.label.toLowerCase()}`;
+                const label = document.createElement('label');
+                label.className = 'eq-label';
+                label.htmlFor = id;
+                label.textContent = control.label;
+
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.id = id;
+                slider.className = 'slider';
+                slider.min = control.min;
+                slider.max = control.max;
+                slider.step = control.step;
+                slider.value = control.get();
+
+                const display = document.createElement('span');
+                display.className = 'eq-value';
+                display.textContent = control.format();
+
+                slider.addEventListener('input', () => {
+                    this.updateModulator(modulator.id, control.set(parseFloat(slider.value)));
+                    display.textContent = control.format();
+                });
+
+                row.append(label, slider, display);
+                card.appendChild(row);
+            });
+
+            this.modulatorList.appendChild(card);
+        });
+    }
+
+    /**
+     * Push the EQ settings to the playing filters and the response curve
+     * A transition (seconds) glides the filters there slowly
+     */
+    applyEqualizer(transition = 0) {
+        // New filters need their modulation connected again
+        if (this.equalizer && this.equalizer.update(this.eq, transition)) {
+            this.applyModulation();
+        }
+        this.eqCurve.setEq(this.eq, this.selectedEqBand);
+
+        // Persist state
+        this.saveState();
+    }
+
+    /**
+     * Rebuild every EQ control from the current settings
+     */
+    renderEqualizer() {
+        this.renderEqBands();
+        for (const name of ['highpass', 'lowpass']) {
+            this[`${name}Enabled`].checked = this.eq[name].enabled;
+            this[`${name}Slider`].value = frequencyToPosition(this.eq[name].frequency);
+        }
+        this.updatePassDisplay();
+        this.eqCurve.setEq(this.eq, this.selectedEqBand);
+    }
+
+    updatePassDisplay() {
+        this.highpassValue.textContent = formatFrequency(this.eq.highpass.frequency);
+        this.lowpassValue.textContent = formatFrequency(this.eq.lowpass.frequency);
+    }
+
+    addEqBand() {
+        if (this.eq.bands.length >= MAX_EQ_BANDS) return;
+
+        this.eq.bands.push({ type: 'peaking', frequency: 1000, gain: 0, q: 1 });
+        this.selectedEqBand = this.eq.bands.length - 1;
+        this.renderEqBands();
+        this.renderModulators();
+        this.applyEqualizer();
+    }
+
+    removeEqBand(index) {
+        this.eq.bands.splice(index, 1);
+
+        // Drop modulation of the removed band and follow the ones that moved
+        this.modulators = this.modulators.filter(modulator =>
+            !((modulator.target === 'gain' || modulator.target === 'frequency') && modulator.band === index));
+        this.modulators.forEach(modulator => {
+            if (modulator.band > index) modulator.band--;
+        });
+        this.selectedEqBand = Math.min(this.selectedEqBand, this.eq.bands.length - 1);
+        this.renderEqBands();
+        this.renderModulators();
+        this.applyEqualizer();
+    }
+
+    /**
+     * Build the band picker and the editor for the selected band
+     */
+    renderEqBands() {
+        this.eqBands.replaceChildren();
+        this.eqEditor.replaceChildren();
+        this.selectedEqBand = Math.min(Math.max(this.selectedEqBand, 0), this.eq.bands.length - 1);
+
+        this.eq.bands.forEach((band, index) => {
+            const button = document.createElement('button');
+            button.className = 'layer-btn';
+            button.textContent = String(index + 1);
+            button.dataset.band = index;
+            button.setAttribute('aria-label', `EQ band ${index + 1}`);
+            button.setAttribute('aria-pressed', String(index === this.selectedEqBand));
+            button.addEventListener('click', () => {
+                this.selectedEqBand = index;
+                this.renderEqBands();
+                this.eqCurve.setEq(this.eq, this.selectedEqBand);
+            });
+            this.eqBands.appendChild(button);
+        });
+
+        const add = document.createElement('button');
+        add.className = 'layer-btn';
+        add.textContent = '+ Band';
+        add.disabled = this.eq.bands.length >= MAX_EQ_BANDS;
+        add.addEventListener('click', () => this.addEqBand());
+        this.eqBands.appendChild(add);
+
+        const band = this.eq.bands[this.selectedEqBand];
+        if (!band) return;
+        const index = this.selectedEqBand;
+
+        const header = document.createElement('div');
+        header.className = 'layer-header';
+
+        const select = document.createElement('select');
+        select.className = 'layer-type';
+        select.setAttribute('aria-label', `Band ${index + 1} filter type`);
+        for (const [type, name] of Object.entries(BAND_TYPES)) {
+            select.add(new Option(name, type, false, type === band.type));
+        }
+        select.addEventListener('change', () => {
+            band.type = select.value;
+            this.renderEqBands();
+            this.applyEqualizer();
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'layer-btn';
+        remove.textContent = '✕';
+        remove.setAttribute('aria-label', `Remove band ${index + 1}`);
+        remove.addEventListener('click', () => this.removeEqBand(index));
+
+        header.append(select, remove);
+        this.eqEditor.appendChild(header);
+
+        // Shelves have no Q and notches have no gain
+        const controls = [
+            { label: 'Freq', min: 0, max: 1, step: 0.001,
+                get: () => frequencyToPosition(band.frequency),
+                set: value => { band.frequency = Math.round(positionToFrequency(value)); },
+                format: () => formatFrequency(band.frequency) }
+        ];
+        if (band.type !== 'notch') {
+            controls.push({ label: 'Gain', min: -MAX_GAIN, max: MAX_GAIN, step: 0.5,
+                get: () => band.gain, set: value => { band.gain = value; }, format: () => formatGain(band.gain) });
+        }
+        if (band.type === 'peaking' || band.type === 'notch') {
+            controls.push({ label: 'Q', min: MIN_Q, max: MAX_Q, step: 0.1,
+                get: () => band.q, set: value => { band.q = value; }, format: () => band.q.toFixed(1) });
+        }
+
+        controls.forEach(control => {
+            const row = document.createElement('div');
+            row.className = 'eq-slider';
+
+            const id = `eqBand-${control.label.toLowerCase()}`;
+            const label = document.createElement('label');
+            label.className = 'eq-label';
+            label.htmlFor = id;
+            label.textContent = control.label;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.id = id;
+            slider.className = 'slider';
+            slider.min = control.min;
+            slider.max = control.max;
+            slider.step = control.step;
+            slider.value = control.get();
+
+            const display = document.createElement('span');
+            display.className = 'eq-value';
+            display.textContent = control.format();
+
+            slider.addEventListener('input', () => {
+                control.set(parseFloat(slider.value));
+                display.textContent = control.format();
+                this.applyEqualizer();
+            });
+
+            row.append(label, slider, display);
+            this.eqEditor.appendChild(row);
+        });
+    }
+
+    updateTinnitus(changes) {
+        Object.assign(this.settings.tinnitus, changes);
+        this.renderTinnitus();
+        if (this.tinnitusFilter) {
+            this.applyTinnitusFilter(this.tinnitusFilter);
+        }
+        this.saveState();
+    }
+
+    /**
+     * Point a tinnitus filter chain at the current settings
+     * Narrow-band noise gets makeup gain so it plays as loud as the full
+     * band; soundscapes are treated as white for this
+     */
+    applyTinnitusFilter(chain) {
+        const tinnitus = this.settings.tinnitus;
+        chain.update(tinnitusEq(tinnitus));
+
+        const slope = this.getProcessorType() === 'color' ? this.colorSlope : 0;
+        const gain = tinnitus.mode === 'narrow' && tinnitus.frequency !== null ? makeupGain(chain, slope) : 1;
+        chain.setParam(chain.output.gain, gain, chain.context.currentTime, chain.smoothing);
+    }
+
+    renderTinnitus() {
+        const tinnitus = this.settings.tinnitus;
+        const matched = tinnitus.frequency !== null;
+        this.tinnitusPitch.textContent = matched
+            ? `Your pitch: ${formatFrequency(tinnitus.frequency)}`
+            : 'No pitch matched yet';
+        this.tinnitusMatchButton.textContent = matched ? 'Match again' : 'Find my pitch';
+
+        // Masking needs a pitch to center on
+        this.tinnitusMode.disabled = !matched;
+        this.tinnitusMode.value = tinnitus.mode;
+        this.tinnitusWidth.value = tinnitus.width;
+        this.tinnitusWidthValue.textContent = formatOctaves(tinnitus.width);
+        this.tinnitusDepth.value = tinnitus.depth;
+        this.tinnitusDepthValue.textContent = `${tinnitus.depth} dB`;
+        this.tinnitusDepthRow.hidden = tinnitus.mode !== 'notch';
+    }
+
+    /**
+     * Show the pitch-matching wizard
+     * Playback pauses so the tones can be heard in quiet
+     */
+    openPitchWizard() {
+        if (this.isPlaying) {
+            this.stop();
+        }
+        this.wizardBase = null;
+        this.wizardOffset = 0;
+        this.pitchMatcher.setLevel(parseFloat(this.wizardLevel.value) / 100);
+        this.tinnitusWizard.hidden = false;
+        this.tinnitusMatchButton.disabled = true;
+        this.renderPitchWizard();
+    }
+
+    /**
+     * Hide the wizard, saving the matched pitch if asked to
+     */
+    closePitchWizard(save) {
+        const frequency = this.getWizardFrequency();
+        this.pitchMatcher.close();
+        this.tinnitusWizard.hidden = true;
+        this.tinnitusMatchButton.disabled = false;
+
+        if (save && frequency !== null) {
+            const changes = { frequency };
+            if (this.settings.tinnitus.mode === 'off') {
+                changes.mode = 'notch';
+            }
+            this.updateTinnitus(changes);
+        }
+    }
+
+    getWizardFrequency() {
+        if (this.wizardBase === null) return null;
+        const frequency = Math.round(this.wizardBase * Math.pow(2, this.wizardOffset));
+        return Math.min(Math.max(frequency, MIN_TINNITUS_FREQUENCY), MAX_TINNITUS_FREQUENCY);
+    }
+
+    playWizardTone() {
+        const frequency = this.getWizardFrequency();
+        if (frequency === null) return;
+        this.pitchMatcher.play(frequency).catch(error => {
+            console.warn(`Failed to play matching tone: ${error}`);
+        });
+        this.renderPitchWizard();
+    }
+
+    /**
+     * Move the pitch being tried up or down an octave, which is easy to
+     * mistake for the right one
+     */
+    shiftWizardOctave(direction) {
+        if (this.wizardBase === null) return;
+        const base = this.wizardBase * Math.pow(2, direction);
+        if (base < MIN_TINNITUS_FREQUENCY || base > MAX_TINNITUS_FREQUENCY) return;
+        this.wizardBase = base;
+        this.playWizardTone();
+    }
+
+    renderPitchWizard() {
+        const picked = this.wizardBase !== null;
+        this.wizardStep.textContent = picked
+            ? 'Fine tune until the tone matches your tinnitus, then try an octave up and down: they are easy to confuse.'
+            : 'Play the tones and pick the one closest to your tinnitus. Keep the tone soft, about as loud as the tinnitus.';
+
+        this.wizardFrequencies.querySelectorAll('.timer-btn').forEach(button => {
+            button.classList.toggle('active', parseFloat(button.dataset.frequency) === this.wizardBase);
+        });
+        this.wizardFineRow.hidden = !picked;
+        this.wizardOctaves.hidden = !picked;
+        this.wizardFine.value = this.wizardOffset;
+        this.wizardFrequency.textContent = picked ? formatFrequency(this.getWizardFrequency()) : '';
+        this.wizardOctaveDown.disabled = !picked || this.wizardBase / 2 < MIN_TINNITUS_FREQUENCY;
+        this.wizardOctaveUp.disabled = !picked || this.wizardBase * 2 > MAX_TINNITUS_FREQUENCY;
+
+        this.wizardPlay.disabled = !picked;
+        this.wizardPlay.textContent = this.pitchMatcher.playing ? 'Stop' : 'Play';
+        this.wizardPlay.setAttribute('aria-pressed', String(this.pitchMatcher.playing));
+        this.wizardSave.disabled = !picked;
+    }
+
+    setVolume(volume) {
+        this.volumeSlider.value = volume;
+        this.updateVolume();
+    }
+
+    updateVolume() {
+        this.volume = parseFloat(this.volumeSlider.value);
+        this.updateVolumeDisplay();
+        this.applyGain();
+
+        // Persist state
+        this.saveState();
+    }
+
+    updateStereoWidth() {
+        this.stereoWidth = parseFloat(this.widthSlider.value);
+        this.updateWidthDisplay();
+        this.postStereoWidth();
+
+        // Persist state
+        this.saveState();
+    }
+
+    postStereoWidth() {
+        this.getSourceNodes().forEach(node => {
+            node.port.postMessage({
+                type: 'setStereoWidth',
+                width: this.stereoWidth / 100
+            });
+        });
+    }
+
+    updateWidthDisplay() {
+        this.widthValue.textContent = this.stereoWidth === 0 ? 'Mono' : `${Math.round(this.stereoWidth)}%`;
+    }
+
+    updateVolumeDisplay() {
+        this.volumeValue.textContent = `${Math.round(this.volume)}%`;
+    }
+
+    /**
+     * Map the volume percentage to a gain value
+     * Squared curve so the slider feels roughly even in loudness
+     */
+    getOutputGain() {
+        const level = this.volume / 100;
+        return level * level;
+    }
+
+    /**
+     * Schedule the gain node automation for the current volume,
+     * including the sleep timer fade-out when one is running
+     */
+    applyGain(rampSeconds = VOLUME_RAMP_SECONDS) {
+        if (!this.gainNode) return;
+
+        const now = this.audioContext.currentTime;
+        const gain = this.gainNode.gain;
+        const level = this.getOutputGain();
+
+        // Start every change from the current value to avoid jumps
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+
+        if (this.sleepTimerEnd === null) {
+            gain.linearRampToValueAtTime(level, now + rampSeconds);
+            return;
+        }
+
+        const end = this.sleepTimerEnd;
+        const fadeStart = this.sleepTimerFadeStart;
+        if (now + rampSeconds < fadeStart) {
+            gain.linearRampToValueAtTime(level, now + rampSeconds);
+            gain.setValueAtTime(level, fadeStart);
+        } else if (now + rampSeconds < end) {
+            // Already fading, so jump to where the fade would be at this volume
+            const progress = (end - now - rampSeconds) / (end - fadeStart);
+            gain.linearRampToValueAtTime(level * progress, now + rampSeconds);
+        }
+        gain.linearRampToValueAtTime(0, end);
+    }
+
+    /**
+     * Update the limiter light and the listening dose while playing
+     */
+    startSafetyMonitor() {
+        if (this.safetyInterval || !this.levelMeter) return;
+        this.safetyTime = this.audioContext.currentTime;
+        this.safetyInterval = setInterval(this.updateSafety, SAFETY_INTERVAL_MS);
+    }
+
+    stopSafetyMonitor() {
+        if (this.safetyInterval) {
+            clearInterval(this.safetyInterval);
+            this.safetyInterval = null;
+            this.storeExposure();
+        }
+        this.limiterIndicator.classList.remove('active');
+    }
+
+    updateSafety() {
+        this.limiterIndicator.classList.toggle('active', this.limiter.active);
+
+        // Count the time since the last update at the current level, by
+        // the audio clock so throttled timers in the background still
+        // add up to the time actually played
+        const now = this.audioContext.currentTime;
+        const seconds = now - this.safetyTime;
+        this.safetyTime = now;
+
+        if (this.exposure.date !== todayKey()) {
+            this.exposure = { date: todayKey(), dose: 0 };
+        }
+        const level = this.levelMeter.measure();
+        if (seconds > 0 && level > -Infinity) {
+            this.exposure.dose += exposureDose(level + this.settings.fullScaleSpl, seconds);
+        }
+
+        // Saving a few times a minute is plenty
+        if (Date.now() - this.exposureSaved > 10000) {
+            this.storeExposure();
+        }
+        this.renderExposure();
+    }
+
+    loadExposure() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(EXPOSURE_KEY));
+            if (saved && saved.date === todayKey() && typeof saved.dose === 'number' && saved.dose >= 0) {
+                this.exposure = { date: saved.date, dose: saved.dose };
+            }
+        } catch (e) {
+            console.warn(`Failed to load listening exposure: ${e}`);
+        }
+    }
+
+    storeExposure() {
+        this.exposureSaved = Date.now();
+        try {
+            localStorage.setItem(EXPOSURE_KEY, JSON.stringify(this.exposure));
+        } catch (e) {
+            console.warn(`Failed to save listening exposure: ${e}`);
+        }
+    }
+
+    renderExposure() {
+        const percent = Math.round(this.exposure.dose * 100);
+        this.exposureValue.textContent = `Today: ${percent}% of safe listening`;
+
+        const warning = this.exposure.dose >= 1
+            ? 'You have used up today\'s safe listening at this loudness. Turn the volume down to protect your hearing.'
+            : '';
+        if (this.exposureWarning.textContent !== warning) {
+            this.exposureWarning.textContent = warning;
+        }
+    }
+
+    handleTimerSelect(event) {
+        const button = event.target.closest('.timer-btn');
+        if (!button) return;
+
+        this.timerCustom.value = '';
+        this.setSleepTimer(parseInt(button.dataset.minutes, 10));
+    }
+
+    setSleepTimer(minutes) {
+        this.sleepTimerMinutes = minutes;
+        this.updateTimerButtons();
+
+        // Restart the countdown with the new duration if we're playing
+        if (this.isPlaying) {
+            this.startSleepTimer();
+        } else {
+            this.updateTimerDisplay();
+        }
+
+        this.announce(minutes ? `Sleep timer set to ${minutes} minutes` : 'Sleep timer off');
+
+        // Persist state
+        this.saveState();
+    }
+
+    updateTimerButtons() {
+        let matched = false;
+        this.timerOptions.querySelectorAll('.timer-btn').forEach(btn => {
+            const isMatch = parseInt(btn.dataset.minutes, 10) === this.sleepTimerMinutes;
+            btn.classList.toggle('active', isMatch);
+            matched = matched || isMatch;
+        });
+
+        // Values that aren't one of the presets live in the custom field
+        if (!matched) {
+            this.timerCustom.value = this.sleepTimerMinutes;
+        }
+    }
+
+    startSleepTimer() {
+        this.clearSleepTimer();
+        if (!this.sleepTimerMinutes || !this.gainNode) return;
+
+        // Schedule the fade on the audio clock so it still happens on time
+        // when the page is in the background and JS timers are throttled
+        const now = this.audioContext.currentTime;
+        const duration = this.sleepTimerMinutes * 60;
+        const end = now + duration;
+
+        this.sleepTimerDuration = duration;
+        this.sleepTimerEnd = end;
+        this.sleepTimerFadeStart = Math.max(now, end - SLEEP_FADE_SECONDS);
+        this.applyGain();
+
+        this.sleepTimerInterval = setInterval(this.updateSleepTimer, 1000);
+        this.updateSleepTimer();
+    }
+
+    clearSleepTimer() {
+        if (this.sleepTimerInterval) {
+            clearInterval(this.sleepTimerInterval);
+            this.sleepTimerInterval = null;
+        }
+
+        const wasRunning = this.sleepTimerEnd !== null;
+        this.sleepTimerEnd = null;
+        this.sleepTimerDuration = 0;
+        if (wasRunning) {
+            this.applyGain();
+        }
+
+        this.updateTimerDisplay();
+        this.updatePositionState();
+    }
+
+    updateSleepTimer() {
+        if (this.sleepTimerEnd === null) return;
+
+        // Audio has already faded out by now, so finish the stop
+        if (this.audioContext.currentTime >= this.sleepTimerEnd) {
+            this.stop();
+            this.announce('Sleep timer finished');
+            return;
+        }
+
+        this.updateTimerDisplay();
+        this.updatePositionState();
+    }
+
+    updateTimerDisplay() {
+        if (this.sleepTimerEnd !== null) {
+            const remaining = this.sleepTimerEnd - this.audioContext.currentTime;
+            this.timerRemaining.textContent = `${formatDuration(remaining)} left`;
+        } else if (this.sleepTimerMinutes) {
+            this.timerRemaining.textContent = `${this.sleepTimerMinutes} min`;
+        } else {
+            this.timerRemaining.textContent = 'Off';
+        }
+    }
+
+    updatePositionState() {
+        if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+
+        try {
+            if (this.sleepTimerEnd !== null) {
+                // Report the countdown as track progress for the lock screen
+                const elapsed = this.sleepTimerDuration - (this.sleepTimerEnd - this.audioContext.currentTime);
+                navigator.mediaSession.setPositionState({
+                    duration: this.sleepTimerDuration,
+                    playbackRate: 1,
+                    position: Math.min(Math.max(elapsed, 0), this.sleepTimerDuration)
+                });
+            } else {
+                // Clear position state when no timer is running
+                navigator.mediaSession.setPositionState();
+            }
+        } catch (e) {
+            console.warn(`Failed to update position state: ${e}`);
+        }
+    }
+
+    loadPrograms() {
+        try {
+            const saved = localStorage.getItem(PROGRAMS_KEY);
+            if (!saved) return;
+
+            const programs = JSON.parse(saved);
+            if (Array.isArray(programs)) {
+                this.programs = programs
+                    .map(program => normalizeProgram(program, this.getNoiseTypes()))
+                    .filter(Boolean)
+                    .slice(0, MAX_PROGRAMS);
+            }
+        } catch (e) {
+            console.warn(`Failed to load programs: ${e}`);
+        }
+    }
+
+    storePrograms() {
+        try {
+            localStorage.setItem(PROGRAMS_KEY, JSON.stringify(this.programs));
+        } catch (e) {
+            console.warn(`Failed to save programs: ${e}`);
+        }
+        this.renderPrograms();
+    }
+
+    newProgram() {
+        if (this.programs.length >= MAX_PROGRAMS) return;
+
+        this.programs.push(createProgram(`Program ${this.programs.length + 1}`));
+        this.selectedProgram = this.programs.length - 1;
+        this.storePrograms();
+    }
+
+    deleteProgram() {
+        const program = this.programs[this.selectedProgram];
+        if (!program || !window.confirm(`Delete “${program.name}”?`)) return;
+
+        this.programs.splice(this.selectedProgram, 1);
+        this.selectedProgram = Math.max(0, this.selectedProgram - 1);
+        this.storePrograms();
+    }
+
+    addStage() {
+        const program = this.programs[this.selectedProgram];
+        if (!program || program.stages.length >= MAX_STAGES) return;
+
+        // New stages start from the sound that's playing now
+        program.stages.push(createStage(this.currentNoiseType, Math.round(this.volume)));
+        this.storePrograms();
+    }
+
+    /**
+     * Build the program picker and the stage editor
+     */
+    renderPrograms() {
+        this.programSelect.replaceChildren();
+        this.selectedProgram = Math.min(this.selectedProgram, this.programs.length - 1);
+        this.programs.forEach((program, index) => {
+            this.programSelect.add(new Option(program.name, String(index), false, index === this.selectedProgram));
+        });
+
+        const program = this.programs[this.selectedProgram];
+        this.programSelect.disabled = !program;
+        this.deleteProgramButton.disabled = !program;
+        this.programName.disabled = !program;
+        this.programName.value = program ? program.name : '';
+        this.newProgramButton.disabled = this.programs.length >= MAX_PROGRAMS;
+        this.addStageButton.disabled = !program || program.stages.length >= MAX_STAGES;
+        this.runProgramButton.disabled = !program && !this.programRun;
+        this.runProgramButton.textContent = this.programRun ? 'Stop program' : 'Start program';
+
+        this.stageList.replaceChildren();
+        if (!program) return;
+
+        const types = this.getNoiseTypeOptions();
+        program.stages.forEach((stage, index) => {
+            const card = document.createElement('div');
+            card.className = 'layer-card stage-card';
+
+            const header = document.createElement('div');
+            header.className = 'layer-header';
+
+            const number = document.createElement('span');
+            number.className = 'eq-label stage-number';
+            number.textContent = String(index + 1);
+
+            const select = document.createElement('select');
+            select.className = 'layer-type';
+            select.setAttribute('aria-label', `Stage ${index + 1} sound`);
+            types.forEach(({ type, name }) => {
+                select.add(new Option(name, type, false, type === stage.noiseType));
+            });
+            select.addEventListener('change', () => {
+                stage.noiseType = select.value;
+                this.storePrograms();
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'layer-btn';
+            remove.textContent = '✕';
+            remove.setAttribute('aria-label', `Remove stage ${index + 1}`);
+            remove.disabled = program.stages.length === 1;
+            remove.addEventListener('click', () => {
+                program.stages.splice(index, 1);
+                this.storePrograms();
+            });
+
+            header.append(number, select, remove);
+            card.appendChild(header);
+
+            // Volume
+            const volumeRow = document.createElement('div');
+            volumeRow.className = 'eq-slider';
+            const volumeLabel = document.createElement('label');
+            volumeLabel.className = 'eq-label';
+            volumeLabel.htmlFor = `stage${index}-volume`;
+            volumeLabel.textContent = 'Level';
+            const volume = document.createElement('input');
+            volume.type = 'range';
+            volume.id = `stage${index}-volume`;
+            volume.className = 'slider';
+            volume.min = 0;
+            volume.max = 100;
+            volume.step = 1;
+            volume.value = stage.volume;
+            const volumeValue = document.createElement('span');
+            volumeValue.className = 'eq-value';
+            volumeValue.textContent = `${stage.volume}%`;
+            volume.addEventListener('input', () => {
+                stage.volume = parseFloat(volume.value);
+                volumeValue.textContent = `${stage.volume}%`;
+            });
+            volume.addEventListener('change', () => this.storePrograms());
+            volumeRow.append(volumeLabel, volume, volumeValue);
+            card.appendChild(volumeRow);
+
+            // Transition into the stage, in minutes
+            const timing = document.createElement('div');
+            timing.className = 'stage-row';
+
+            const fadeLabel = document.createElement('label');
+            fadeLabel.className = 'eq-label';
+            fadeLabel.textContent = 'Fade';
+            const fade = document.createElement('input');
+            fade.type = 'number';
+            fade.className = 'number-input';
+            fade.min = 0;
+            fade.max = MAX_TRANSITION_SECONDS / 60;
+            fade.step = 0.5;
+            fade.value = stage.transition / 60;
+            fade.setAttribute('aria-label', `Stage ${index + 1} fade in minutes`);
+            fade.addEventListener('change', () => {
+                const minutes = parseFloat(fade.value);
+                stage.transition = minutes >= 0 ? Math.min(minutes * 60, MAX_TRANSITION_SECONDS) : 0;
+                this.storePrograms();
+            });
+            fadeLabel.append(fade, ' min');
+
+            // How the stage ends
+            const end = document.createElement('select');
+            end.className = 'layer-type';
+            end.setAttribute('aria-label', `Stage ${index + 1} ends`);
+            for (const [value, name] of Object.entries(STAGE_ENDS)) {
+                end.add(new Option(name, value, false, value === stage.end));
+            }
+            end.addEventListener('change', () => {
+                stage.end = end.value;
+                this.storePrograms();
+            });
+
+            timing.append(fadeLabel, end);
+            if (stage.end === 'duration') {
+                const minutes = document.createElement('input');
+                minutes.type = 'number';
+                minutes.className = 'number-input';
+                minutes.min = 1;
+                minutes.max = MAX_STAGE_MINUTES;
+                minutes.step = 1;
+                minutes.value = stage.minutes;
+                minutes.setAttribute('aria-label', `Stage ${index + 1} minutes`);
+                minutes.addEventListener('change', () => {
+                    const value = Math.round(parseFloat(minutes.value));
+                    stage.minutes = value > 0 ? Math.min(value, MAX_STAGE_MINUTES) : 1;
+                    this.storePrograms();
+                });
+                timing.append(minutes, 'min');
+            } else if (stage.end === 'until') {
+                const until = document.createElement('input');
+                until.type = 'time';
+                until.className = 'number-input';
+                until.value = stage.until;
+                until.setAttribute('aria-label', `Stage ${index + 1} ends at`);
+                until.addEventListener('change', () => {
+                    if (until.value) {
+                        stage.until = until.value.slice(0, 5);
+                        this.storePrograms();
+                    }
+                });
+                timing.append(until);
+            }
+            card.appendChild(timing);
+
+            // EQ: keep whatever is set, or switch to a captured EQ
+            const eqRow = document.createElement('div');
+            eqRow.className = 'stage-row';
+            const eqLabel = document.createElement('span');
+            eqLabel.className = 'eq-label';
+            eqLabel.textContent = stage.eq ? `EQ: ${stage.eq.bands.length} bands` : 'EQ unchanged';
+            const capture = document.createElement('button');
+            capture.className = 'layer-btn';
+            capture.textContent = 'Use current EQ';
+            capture.addEventListener('click', () => {
+                stage.eq = JSON.parse(JSON.stringify(this.eq));
+                this.storePrograms();
+            });
+            eqRow.append(eqLabel, capture);
+            if (stage.eq) {
+                const clear = document.createElement('button');
+                clear.className = 'layer-btn';
+                clear.textContent = 'Keep EQ';
+                clear.addEventListener('click', () => {
+                    stage.eq = null;
+                    this.storePrograms();
+                });
+                eqRow.append(clear);
+            }
+            card.appendChild(eqRow);
+
+            this.stageList.appendChild(card);
+        });
+    }
+
+    /**
+     * Run the selected program from its first stage
+     * Stage times follow the audio clock, like the sleep timer
+     */
+    async startProgram() {
+        const program = this.programs[this.selectedProgram];
+        if (!program) return;
+
+        if (!this.isPlaying) {
+            await this.start();
+            if (!this.isPlaying || !this.gainNode) return;
+        }
+
+        this.clearProgramRun();
+        const snapshot = JSON.parse(JSON.stringify(program));
+        this.programRun = {
+            program: snapshot,
+            plan: planProgram(snapshot, new Date()),
+            startTime: this.audioContext.currentTime,
+            stage: -1,
+            interval: setInterval(this.updateProgramRun, 1000)
+        };
+        this.updateProgramRun();
+        this.renderPrograms();
+    }
+
+    clearProgramRun() {
+        if (!this.programRun) return;
+
+        clearInterval(this.programRun.interval);
+        this.programRun = null;
+        this.programStatus.textContent = '';
+        this.renderPrograms();
+        this.updateMediaMetadata();
+    }
+
+    /**
+     * Move to the stage due at the current audio time, and stop playback
+     * once the last stage has ended
+     */
+    updateProgramRun() {
+        const run = this.programRun;
+        if (!run) return;
+
+        const elapsed = this.audioContext.currentTime - run.startTime;
+        const index = run.plan.findIndex(stage => elapsed < stage.end);
+        if (index === -1) {
+            this.stop();
+            return;
+        }
+
+        if (index !== run.stage) {
+            run.stage = index;
+            this.applyStage(run.program.stages[index]);
+            this.updateMediaMetadata();
+        }
+
+        const remaining = run.plan[index].end - elapsed;
+        const timing = isFinite(remaining) ? `${formatDuration(remaining)} left` : 'holding';
+        this.programStatus.textContent =
+            `${run.program.name}: stage ${index + 1} of ${run.program.stages.length}, ${timing}`;
+    }
+
+    /**
+     * Fade the sound, EQ and volume to a stage's settings
+     */
+    applyStage(stage) {
+        const transition = stage.transition;
+
+        this.setNoiseType(stage.noiseType, Math.max(transition, NOISE_CROSSFADE_SECONDS));
+
+        if (stage.eq) {
+            this.eq = normalizeEq(stage.eq);
+            this.renderEqualizer();
+            this.renderModulators();
+            this.applyEqualizer(transition);
+        }
+
+        this.volume = stage.volume;
+        this.volumeSlider.value = this.volume;
+        this.updateVolumeDisplay();
+        this.applyGain(Math.max(transition, VOLUME_RAMP_SECONDS));
+
+        // Persist state
+        this.saveState();
+    }
+
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        this.updateMediaMetadata();
 
         // Set up action handlers
         navigator.mediaSession.setActionHandler('play', () => {
             this.start();
         });
 
-        navigator.mediaSession.setActionHandler('pause', () => {
-            this.stop();
-        });
+        navigator.mediaSession.setActionHandler('pause', () => {
+            this.stop();
+        });
+
+        navigator.mediaSession.setActionHandler('stop', () => {
+            this.stop();
+        });
+
+        // Previous/Next to cycle through noise types or presets
+        navigator.mediaSession.setActionHandler('previoustrack', () => {
+            this.stepTrack(-1);
+        });
+
+        navigator.mediaSession.setActionHandler('nexttrack', () => {
+            this.stepTrack(1);
+        });
+    }
+
+    /**
+     * Move to the previous (-1) or next (1) noise type, or preset if the
+     * track buttons are set to step through presets
+     */
+    stepTrack(direction) {
+        const count = this.presets.length;
+        if (this.settings.trackButtons === 'presets' && count > 0) {
+            const index = this.activePreset < 0
+                ? (direction > 0 ? 0 : count - 1)
+                : (this.activePreset + direction + count) % count;
+            this.loadPreset(index);
+            return;
+        }
+
+        const noiseTypes = this.getNoiseTypes();
+        const currentIndex = noiseTypes.indexOf(this.currentNoiseType);
+        const nextIndex = currentIndex < 0
+            ? 0
+            : (currentIndex + direction + noiseTypes.length) % noiseTypes.length;
+        this.selectNoiseType(noiseTypes[nextIndex]);
+    }
+
+    /**
+     * Every sound in the noise grid, with its display name
+     */
+    getNoiseTypeOptions() {
+        return Array.from(this.noiseGrid.querySelectorAll('.noise-btn'), btn => ({
+            type: btn.dataset.type,
+            name: btn.querySelector('.noise-name').textContent
+        }));
+    }
+
+    /**
+     * Noise types in grid order
+     */
+    getNoiseTypes() {
+        return Array.from(this.noiseGrid.querySelectorAll('.noise-btn'), btn => btn.dataset.type);
+    }
+
+    selectNoiseType(noiseType) {
+        const button = this.noiseGrid.querySelector(`[data-type="${noiseType}"]`);
+        if (button) {
+            button.click();
+        }
+    }
+
+    updateMediaMetadata() {
+        if (!('mediaSession' in navigator)) return;
+
+        const title = this.getNoiseName();
+
+        // A running program shows its stage, otherwise the loaded preset
+        let album = this.activePreset >= 0 ? this.presets[this.activePreset].name : 'Procedural Noise Generator';
+        if (this.programRun && this.programRun.stage >= 0) {
+            const { program, stage } = this.programRun;
+            album = `${program.name} · Stage ${stage + 1} of ${program.stages.length}`;
+        }
+
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title,
+            artist: 'WhoaNoise',
+            album
+        });
+
+        this.updatePlaybackState();
+    }
+
+    /**
+     * Offer new versions of the app as they are installed
+     * A new service worker waits until the user accepts it from the
+     * banner, and the page reloads once it has taken over
+     */
+    watchForUpdates(registration, hadController) {
+        const container = navigator.serviceWorker;
+
+        // Only an update has a page to replace; the first install doesn't
+        const offer = (worker) => {
+            if (container.controller) {
+                this.showUpdateBanner(worker);
+            }
+        };
+
+        if (registration.waiting) {
+            offer(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed') {
+                    offer(worker);
+                }
+            });
+        });
+
+        container.addEventListener('controllerchange', () => {
+            // The first install claiming this page is no update
+            if (!hadController) {
+                hadController = true;
+                return;
+            }
+            if (this.updateRequested) {
+                location.reload();
+                return;
+            }
+            // Another tab accepted the update; this page still runs the
+            // old version until it reloads
+            this.showUpdateBanner(null);
+        });
+
+        // Pages left open all night should still hear about updates
+        setInterval(() => {
+            registration.update().catch(error => {
+                console.log(`Update check failed: ${error}`);
+            });
+        }, UPDATE_CHECK_MS);
+    }
+
+    showUpdateBanner(worker) {
+        this.waitingWorker = worker;
+        this.updateMessage.textContent = this.updatePending
+            ? 'Update will install when playback stops'
+            : 'Update available';
+        this.updateButton.hidden = this.updatePending;
+        this.updateBanner.hidden = false;
+    }
+
+    /**
+     * Switch to the new version, or once playback stops if it is playing
+     */
+    applyUpdate() {
+        if (this.isPlaying) {
+            this.updatePending = true;
+            this.showUpdateBanner(this.waitingWorker);
+            return;
+        }
+
+        this.updatePending = false;
+        if (this.waitingWorker && this.waitingWorker.state === 'installed') {
+            this.updateRequested = true;
+            this.waitingWorker.postMessage({ type: 'skipWaiting' });
+        } else {
+            // The new version is already in charge
+            location.reload();
+        }
+    }
+
+    /**
+     * Tell the lock screen whether sound is actually playing
+     */
+    updatePlaybackState() {
+        if (!('mediaSession' in navigator)) return;
+        navigator.mediaSession.playbackState = this.isPlaying && !this.interrupted ? 'playing' : 'paused';
+    }
+
+    setupInstallHint() {
+        if (!this.installHint) return;
+
+        const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
+        const isStandalone = window.matchMedia('(display-mode: standalone)').matches
+            || window.navigator.standalone;
+
+        if (isStandalone) {
+            // Already installed, hide the hint
+            this.installHint.style.display = 'none';
+        } else if (isIOS) {
+            // iOS doesn't have automatic install prompts, show instructions
+            this.installHint.innerHTML = 'Tap <strong>Share</strong> → <strong>Add to Home Screen</strong> to install';
+        }
+    }
+
+    /**
+     * Global keyboard shortcuts
+     * Keys typed into fields, and Space or Enter on a button, keep their
+     * usual job; so do keys already handled, like arrows in the sound grid
+     */
+    handleKeydown(event) {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (this.shortcutsDialog.open) return;
+
+        const target = event.target;
+        if (target.closest('input, select, textarea, [contenteditable="true"]')) return;
+        if ((event.key === ' ' || event.key === 'Enter') && target.closest('button, a, summary')) return;
+
+        // Arrows on an EQ band button edit that band
+        const bandButton = target.closest('[data-band]');
+        if (bandButton && this.adjustEqBand(parseInt(bandButton.dataset.band, 10), event.key)) {
+            event.preventDefault();
+            return;
+        }
+
+        const action = findShortcut(this.settings.shortcuts, event.key);
+        if (!action) return;
+        event.preventDefault();
+        this.runShortcut(action);
+    }
+
+    runShortcut(action) {
+        if (action === 'togglePlay') {
+            this.togglePlay();
+        } else if (action === 'volumeUp' || action === 'volumeDown') {
+            this.stepVolume(action === 'volumeUp' ? 1 : -1);
+        } else if (action === 'help') {
+            this.openShortcuts();
+        } else if (action.startsWith('sound')) {
+            const noiseType = this.getNoiseTypes()[parseInt(action.slice(5), 10) - 1];
+            if (noiseType) {
+                this.selectNoiseType(noiseType);
+            }
+        }
+    }
+
+    stepVolume(direction) {
+        this.setVolume(Math.min(Math.max(this.volume + direction * VOLUME_STEP, 0), 100));
+        this.announce(`Volume ${Math.round(this.volume)}%`);
+    }
+
+    /**
+     * Nudge an EQ band from the keyboard: up and down change its gain,
+     * left and right its frequency
+     * Returns false for keys that don't edit a band
+     */
+    adjustEqBand(index, key) {
+        const band = this.eq.bands[index];
+        if (!band) return false;
+
+        if (key === 'ArrowUp' || key === 'ArrowDown') {
+            // Notches have no gain
+            if (band.type === 'notch') return true;
+            const step = key === 'ArrowUp' ? EQ_GAIN_STEP : -EQ_GAIN_STEP;
+            band.gain = Math.min(Math.max(band.gain + step, -MAX_GAIN), MAX_GAIN);
+        } else if (key === 'ArrowLeft' || key === 'ArrowRight') {
+            const step = key === 'ArrowRight' ? EQ_FREQUENCY_STEP : -EQ_FREQUENCY_STEP;
+            const frequency = band.frequency * Math.pow(2, step);
+            band.frequency = Math.round(Math.min(Math.max(frequency, MIN_FREQUENCY), MAX_FREQUENCY));
+        } else {
+            return false;
+        }
+
+        // Rebuilding the band buttons loses focus, so put it back
+        this.selectedEqBand = index;
+        this.setEqBand(index, {});
+        this.eqBands.querySelector(`[data-band="${index}"]`).focus();
+
+        const gain = band.type === 'notch' ? '' : `, ${formatGain(band.gain)}`;
+        this.announce(`Band ${index + 1}: ${formatFrequency(band.frequency)}${gain}`);
+        return true;
+    }
+
+    /**
+     * Change any of an EQ band's type, frequency, gain and Q
+     */
+    setEqBand(index, changes) {
+        Object.assign(this.eq.bands[index], changes);
+        this.renderEqBands();
+        this.applyEqualizer();
+    }
+
+    /**
+     * Read a message out to screen readers through the live region
+     * It is cleared first so the same message twice is read twice
+     */
+    announce(message) {
+        clearTimeout(this.announceTimeout);
+        this.announcer.textContent = '';
+        this.announceTimeout = setTimeout(() => {
+            this.announcer.textContent = message;
+        }, 100);
+    }
+
+    openShortcuts() {
+        if (this.shortcutsDialog.open) return;
+        this.capturingShortcut = null;
+        this.renderShortcuts();
+        this.shortcutsDialog.showModal();
+    }
+
+    getShortcutName(action) {
+        if (action in SHORTCUT_ACTIONS) return SHORTCUT_ACTIONS[action];
+
+        const option = this.getNoiseTypeOptions()[parseInt(action.slice(5), 10) - 1];
+        return option ? option.name : null;
+    }
+
+    /**
+     * List every action in the help overlay, each with a button that
+     * waits for a new key
+     */
+    renderShortcuts() {
+        this.shortcutList.replaceChildren();
+
+        for (const action of getShortcutActions()) {
+            const name = this.getShortcutName(action);
+            if (!name) continue;
+
+            const item = document.createElement('li');
+            item.className = 'shortcut-item';
+
+            const label = document.createElement('span');
+            label.textContent = name;
+
+            const button = document.createElement('button');
+            button.className = 'layer-btn';
+            button.dataset.action = action;
+            button.addEventListener('click', () => {
+                this.capturingShortcut = this.capturingShortcut === action ? null : action;
+                this.updateShortcutButtons();
+            });
+            button.addEventListener('keydown', (event) => {
+                if (this.capturingShortcut === action) {
+                    this.captureShortcut(event, button);
+                }
+            });
+            button.addEventListener('blur', () => {
+                if (this.capturingShortcut === action) {
+                    this.capturingShortcut = null;
+                    this.updateShortcutButtons();
+                }
+            });
+
+            item.append(label, button);
+            this.shortcutList.appendChild(item);
+        }
+        this.updateShortcutButtons();
+    }
 
-        navigator.mediaSession.setActionHandler('stop', () => {
-            this.stop();
+    updateShortcutButtons() {
+        this.shortcutList.querySelectorAll('[data-action]').forEach(button => {
+            const action = button.dataset.action;
+            const name = this.getShortcutName(action);
+            const key = formatKey(this.settings.shortcuts[action]);
+            const capturing = this.capturingShortcut === action;
+
+            button.textContent = capturing ? 'Press a key' : key;
+            button.setAttribute('aria-pressed', String(capturing));
+            button.setAttribute('aria-label', capturing
+                ? `Press the new key for ${name}, or Escape to cancel`
+                : `${name}: ${key}. Change`);
         });
+    }
 
-        // Previous/Next to cycle through noise types
-        const noiseTypes = ['white', 'pink', 'brown', 'blue', 'violet'];
+    /**
+     * Bind the key just pressed to the action waiting for one
+     * A key already in use swaps over, so the other action takes this
+     * one's old key
+     */
+    captureShortcut(event, button) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
 
-        navigator.mediaSession.setActionHandler('previoustrack', () => {
-            const currentIndex = noiseTypes.indexOf(this.currentNoiseType);
-            const previousIndex = (currentIndex - 1 + noiseTypes.length) % noiseTypes.length;
-            this.selectNoiseType(noiseTypes[previousIndex]);
-        });
+        const action = this.capturingShortcut;
+        if (event.key === 'Escape') {
+            // Cancel the change without closing the overlay
+            event.preventDefault();
+        } else if (isBindableKey(event.key)) {
+            // Keep Space and Enter from clicking the button as well
+            event.preventDefault();
+            button.addEventListener('keyup', (keyup) => keyup.preventDefault(), { once: true });
 
-        navigator.mediaSession.setActionHandler('nexttrack', () => {
-            const currentIndex = noiseTypes.indexOf(this.currentNoiseType);
-            const nextIndex = (currentIndex + 1) % noiseTypes.length;
-            this.selectNoiseType(noiseTypes[nextIndex]);
+            const shortcuts = this.settings.shortcuts;
+            const key = normalizeKey(event.key);
+            const other = findShortcut(shortcuts, key);
+            if (other && other !== action) {
+                shortcuts[other] = shortcuts[action];
+            }
+            shortcuts[action] = key;
+            this.saveState();
+        } else {
+            // Modifier keys on their own, and Tab to move on
+            return;
+        }
+
+        this.capturingShortcut = null;
+        this.updateShortcutButtons();
+    }
+
+    /**
+     * Push every setting to the controls and the audio graph
+     * Used after a preset replaces all settings at once
+     */
+    refreshAll() {
+        this.updateNoiseButtons();
+        this.updateColorDisplay();
+        this.renderSoundParams();
+        this.updateVolumeDisplay();
+        this.updateWidthDisplay();
+        this.updateTimerDisplay();
+
+        // Update the playing sound
+        this.postNoiseType();
+        this.postSoundParams();
+        this.postStereoWidth();
+        this.renderEqualizer();
+        this.applyEqualizer();
+
+        // Rebuild the layers from scratch
+        Array.from(this.layerNodes.keys()).forEach(id => this.disconnectLayer(id));
+        this.layers.forEach(layer => this.connectLayer(layer));
+        this.renderLayers();
+        this.renderTones();
+        this.postTones();
+        this.renderModulators();
+        this.applyModulation();
+
+        // A running countdown carries on unless the timer length changed
+        this.applyGain();
+        if (this.isPlaying && this.sleepTimerDuration !== this.sleepTimerMinutes * 60) {
+            this.startSleepTimer();
+        }
+        this.updateMediaMetadata();
+    }
+
+    postSoundParams() {
+        this.getSourceNodes().forEach(node => {
+            for (const [sound, params] of Object.entries(this.soundParams)) {
+                node.port.postMessage({ type: 'setSoundParams', sound, params });
+            }
         });
     }
 
-    selectNoiseType(noiseType) {
-        const button = this.noiseGrid.querySelector(`[data-type="${noiseType}"]`);
-        if (button) {
-            button.click();
+    /**
+     * Messages from the other windows
+     */
+    handleTabMessage(message) {
+        if (message.type === 'hello') {
+            // A new window wants to know who is playing
+            if (this.isPlaying) {
+                this.tabs.post({ type: 'playing', since: this.playClaim });
+            }
+        } else if (message.type === 'playing') {
+            // Two windows pressing Play at once: the later one plays on
+            // here, and the other window stops itself
+            if (this.isPlaying && !isNewerClaim(message, { since: this.playClaim, from: this.tabs.id })) return;
+
+            if (this.isPlaying) {
+                this.stop();
+            }
+            this.remotePlayer = message.from;
+            this.renderPlaybackStatus();
+        } else if (message.type === 'stopped') {
+            if (this.remotePlayer === message.from) {
+                this.remotePlayer = null;
+                this.renderPlaybackStatus();
+            }
+        } else if (message.type === 'state') {
+            this.applyRemoteState(message.state);
         }
     }
 
-    updateMediaMetadata() {
-        if (!('mediaSession' in navigator)) return;
+    /**
+     * Follow what the other windows save (storage events only ever come
+     * from other windows)
+     */
+    handleStorage(event) {
+        if (event.key === STORAGE_KEY) {
+            // Wait for a slider being dragged over there to settle
+            clearTimeout(this.storageTimeout);
+            this.storageTimeout = setTimeout(() => this.syncStoredState(), STORAGE_SYNC_MS);
+        } else if (event.key === PRESETS_KEY) {
+            this.loadPresets();
+            this.renderPresets();
+        } else if (event.key === PROGRAMS_KEY) {
+            this.loadPrograms();
+            this.renderPrograms();
+        } else if (event.key === EXPOSURE_KEY) {
+            this.loadExposure();
+            this.renderExposure();
+        }
+    }
 
-        const noiseNames = {
-            white: 'White Noise',
-            pink: 'Pink Noise',
-            brown: 'Brown Noise',
-            blue: 'Blue Noise',
-            violet: 'Violet Noise'
-        };
+    syncStoredState() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (!saved) return;
 
-        navigator.mediaSession.metadata = new MediaMetadata({
-            title: noiseNames[this.currentNoiseType],
-            artist: 'WhoaNoise',
-            album: 'Procedural Noise Generator'
-        });
+            this.savedState = JSON.parse(saved);
+            this.applyRemoteState(this.savedState);
+        } catch (e) {
+            console.warn(`Failed to load state: ${e}`);
+        }
+    }
+
+    /**
+     * Take on settings changed in another window
+     * Only the parts that differ are updated, so the sound playing here
+     * carries on undisturbed; nothing is saved, as the other window has
+     * done that
+     */
+    applyRemoteState(state) {
+        if (!state || typeof state !== 'object') return;
+
+        const current = { ...this.getState(), settings: this.settings };
+        const changes = {};
+        for (const key of Object.keys(current)) {
+            if (key in state && JSON.stringify(state[key]) !== JSON.stringify(current[key])) {
+                changes[key] = state[key];
+            }
+        }
+        if (Object.keys(changes).length === 0) return;
+        const changed = key => key in changes;
+
+        // A new type always comes with its slope
+        if (changed('noiseType') || changed('slope')) {
+            changes.noiseType = state.noiseType;
+            changes.slope = state.slope;
+        }
+
+        this.applyingRemote = true;
+        try {
+            // Layers get new ids, so the old ones are taken down first
+            if (changed('layers')) {
+                Array.from(this.layerNodes.keys()).forEach(id => this.disconnectLayer(id));
+            }
+
+            this.applyState(changes);
+
+            if (changed('noiseType')) {
+                this.updateNoiseButtons();
+                this.updateColorDisplay();
+                this.renderSoundParams();
+                this.postNoiseType();
+                this.updateMediaMetadata();
+            }
+            if (changed('soundParams')) {
+                this.renderSoundParams();
+                this.postSoundParams();
+            }
+            if (changed('layers')) {
+                this.layers.forEach(layer => this.connectLayer(layer));
+                this.renderLayers();
+            }
+            if (changed('volume')) {
+                this.updateVolumeDisplay();
+                this.applyGain();
+            }
+            if (changed('stereoWidth')) {
+                this.updateWidthDisplay();
+                this.postStereoWidth();
+            }
+            if (changed('eq')) {
+                this.renderEqualizer();
+                this.applyEqualizer();
+            }
+            if (changed('tones')) {
+                this.renderTones();
+                this.postTones();
+            }
+            if (changed('eq') || changed('modulators')) {
+                this.renderModulators();
+                this.applyModulation();
+            }
+            if (changed('timer')) {
+                if (this.isPlaying) {
+                    this.startSleepTimer();
+                } else {
+                    this.updateTimerDisplay();
+                }
+            }
+            if (changed('settings')) {
+                this.restoreSettings(state.settings);
+                this.renderSettings();
+            }
+        } finally {
+            this.applyingRemote = false;
+        }
+    }
 
-        navigator.mediaSession.playbackState = this.isPlaying ? 'playing' : 'paused';
+    /**
+     * Bring the preference controls in line with the settings
+     */
+    renderSettings() {
+        this.trackPresets.checked = this.settings.trackButtons === 'presets';
+        this.updateSpectrum();
+        this.renderTinnitus();
+        if (this.tinnitusFilter) {
+            this.applyTinnitusFilter(this.tinnitusFilter);
+        }
+        this.fullScaleInput.value = this.settings.fullScaleSpl;
+        this.autoResumeEnabled.checked = this.settings.autoResume;
+        this.renderPlaybackStatus();
+        if (this.shortcutsDialog.open) {
+            this.updateShortcutButtons();
+        }
     }
 
-    setupInstallHint() {
-        if (!this.installHint) return;
+    loadPresets() {
+        try {
+            const saved = localStorage.getItem(PRESETS_KEY);
+            if (!saved) return;
 
-        const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
-        const isStandalone = window.matchMedia('(display-mode: standalone)').matches
-            || window.navigator.standalone;
+            const presets = JSON.parse(saved);
+            if (Array.isArray(presets)) {
+                this.presets = presets
+                    .filter(preset => preset && typeof preset.name === 'string')
+                    .map(preset => ({ name: preset.name, state: normalizeState(preset.state, this.getNoiseTypes()) }))
+                    .filter(preset => Object.keys(preset.state).length > 0);
+            }
+        } catch (e) {
+            console.warn(`Failed to load presets: ${e}`);
+        }
+    }
 
-        if (isStandalone) {
-            // Already installed, hide the hint
-            this.installHint.style.display = 'none';
-        } else if (isIOS) {
-            // iOS doesn't have automatic install prompts, show instructions
-            this.installHint.innerHTML = 'Tap <strong>Share</strong> → <strong>Add to Home Screen</strong> to install';
+    storePresets() {
+        try {
+            localStorage.setItem(PRESETS_KEY, JSON.stringify(this.presets));
+        } catch (e) {
+            console.warn(`Failed to save presets: ${e}`);
+        }
+        this.renderPresets();
+    }
+
+    /**
+     * Save the current settings as a preset
+     * Saving under an existing name updates that preset
+     */
+    savePreset(name) {
+        const trimmed = name.trim().slice(0, MAX_PRESET_NAME_LENGTH) || `Preset ${this.presets.length + 1}`;
+        const state = JSON.parse(JSON.stringify(this.getState()));
+        const existing = this.presets.findIndex(preset => preset.name === trimmed);
+
+        if (existing >= 0) {
+            this.presets[existing].state = state;
+            this.activePreset = existing;
+            this.showPresetStatus(`Updated “${trimmed}”`);
+        } else {
+            this.presets.push({ name: trimmed, state });
+            this.activePreset = this.presets.length - 1;
+            this.showPresetStatus(`Saved “${trimmed}”`);
+        }
+
+        this.presetName.value = '';
+        this.storePresets();
+    }
+
+    loadPreset(index) {
+        const preset = this.presets[index];
+        if (!preset) return;
+
+        this.activePreset = index;
+        this.applyState(preset.state);
+        this.refreshAll();
+        this.saveState();
+        this.renderPresets();
+    }
+
+    renamePreset(index, name) {
+        const trimmed = name.trim().slice(0, MAX_PRESET_NAME_LENGTH);
+        if (trimmed && this.presets[index]) {
+            this.presets[index].name = trimmed;
+        }
+        this.storePresets();
+    }
+
+    deletePreset(index) {
+        this.presets.splice(index, 1);
+        if (this.activePreset === index) {
+            this.activePreset = -1;
+        } else if (this.activePreset > index) {
+            this.activePreset--;
+        }
+        this.storePresets();
+    }
+
+    movePreset(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= this.presets.length) return;
+
+        const [preset] = this.presets.splice(index, 1);
+        this.presets.splice(target, 0, preset);
+        if (this.activePreset === index) {
+            this.activePreset = target;
+        } else if (this.activePreset === target) {
+            this.activePreset = index;
+        }
+        this.storePresets();
+    }
+
+    exportPresets() {
+        if (this.presets.length === 0) {
+            this.showPresetStatus('No presets to export');
+            return;
+        }
+
+        const blob = new Blob([createPresetFile(this.presets)], { type: 'application/json' });
+        downloadBlob(blob, 'whoanoise-presets.json');
+    }
+
+    async importPresets() {
+        const file = this.importFile.files[0];
+        this.importFile.value = '';
+        if (!file) return;
+
+        try {
+            const imported = parsePresetFile(await file.text(), state => normalizeState(state, this.getNoiseTypes()));
+
+            // Keep both when a name is already taken
+            imported.forEach(preset => {
+                let name = preset.name;
+                for (let n = 2; this.presets.some(existing => existing.name === name); n++) {
+                    name = `${preset.name} (${n})`;
+                }
+                this.presets.push({ name, state: preset.state });
+            });
+
+            this.storePresets();
+            this.showPresetStatus(`Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}`);
+        } catch (e) {
+            this.showPresetStatus(`Import failed: ${e.message}`);
+        }
+    }
+
+    async sharePreset(index) {
+        const preset = this.presets[index];
+        if (!preset) return;
+
+        const url = `${location.origin}${location.pathname}${location.search}#${encodePresetHash(preset)}`;
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: `WhoaNoise: ${preset.name}`, url });
+            } else {
+                await navigator.clipboard.writeText(url);
+                this.showPresetStatus('Link copied to clipboard');
+            }
+        } catch (e) {
+            // Share sheet dismissed or clipboard blocked, let the user copy it by hand
+            if (e.name !== 'AbortError') {
+                window.prompt('Copy this link to share the preset', url);
+            }
+        }
+    }
+
+    /**
+     * Apply a preset shared through the URL hash, then clear the hash
+     */
+    applySharedPreset(refresh) {
+        const preset = decodePresetHash(location.hash, state => normalizeState(state, this.getNoiseTypes()));
+        if (!preset) return;
+
+        this.applyState(preset.state);
+        this.activePreset = -1;
+        if (refresh) {
+            this.refreshAll();
+        }
+        this.saveState();
+
+        // Offer the shared name when saving it
+        this.presetName.value = preset.name;
+        this.showPresetStatus(`Loaded shared preset “${preset.name}”`);
+        history.replaceState(null, '', `${location.pathname}${location.search}`);
+    }
+
+    /**
+     * Apply deep link parameters from the page URL: a saved preset by
+     * name, a sound and a sleep timer
+     * Returns true if the link asks to start playing
+     */
+    applyLaunchParams() {
+        const launch = parseLaunchParams(location.search);
+        if (!launch) return false;
+
+        if (launch.preset !== null) {
+            const name = launch.preset.toLowerCase();
+            const index = this.presets.findIndex(preset => preset.name.toLowerCase() === name);
+            if (index >= 0) {
+                this.applyState(this.presets[index].state);
+                this.activePreset = index;
+            } else {
+                this.showPresetStatus(`No preset named “${launch.preset}”`);
+            }
+        }
+        if (launch.type !== null && this.getNoiseTypes().includes(launch.type)) {
+            this.applyState({ noiseType: launch.type });
+            this.activePreset = -1;
+        }
+        if (launch.timer !== null) {
+            this.applyState({ timer: launch.timer });
+        }
+        this.saveState();
+
+        // The settings are saved, so a reload shouldn't start playing again
+        history.replaceState(null, '', `${location.pathname}${location.hash}`);
+        return launch.autoplay;
+    }
+
+    /**
+     * Start playing for a deep link
+     * Without a tap on the page most browsers keep the audio context
+     * suspended, so a full-screen button offers to start with one tap
+     */
+    async autoplay() {
+        try {
+            if (!this.audioContext) {
+                this.audioContext = this.createAudioContext();
+            }
+            // A blocked context's resume() may never settle
+            if (this.audioContext.state !== 'running') {
+                await Promise.race([
+                    this.audioContext.resume(),
+                    new Promise(resolve => setTimeout(resolve, AUTOPLAY_TIMEOUT_MS))
+                ]);
+            }
+        } catch (error) {
+            console.warn(`Autoplay was blocked: ${error}`);
+        }
+
+        if (this.isPlaying) return;
+        if (this.audioContext && this.audioContext.state === 'running') {
+            await this.start();
+            return;
+        }
+
+        const timer = this.sleepTimerMinutes ? ` · ${this.sleepTimerMinutes} min timer` : '';
+        this.autoplayDetail.textContent = `${this.getNoiseName()}${timer}`;
+        this.autoplayPrompt.hidden = false;
+        this.autoplayPrompt.focus();
+    }
+
+    showPresetStatus(message) {
+        this.presetStatus.textContent = message;
+    }
+
+    /**
+     * Build the preset list with load, rename, reorder, share and delete controls
+     */
+    renderPresets() {
+        this.presetList.replaceChildren();
+
+        this.presets.forEach((preset, index) => {
+            const item = document.createElement('li');
+            item.className = 'preset-item';
+            item.classList.toggle('active', index === this.activePreset);
+
+            const load = document.createElement('button');
+            load.className = 'preset-name';
+            load.textContent = preset.name;
+            load.addEventListener('click', () => this.loadPreset(index));
+
+            const makeButton = (text, label, onClick, disabled = false) => {
+                const button = document.createElement('button');
+                button.className = 'layer-btn';
+                button.textContent = text;
+                button.setAttribute('aria-label', `${label} ${preset.name}`);
+                button.disabled = disabled;
+                button.addEventListener('click', onClick);
+                return button;
+            };
+
+            // Rename in place: swap the name for a text field until Enter or blur
+            const rename = makeButton('✎', 'Rename', () => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'number-input preset-rename';
+                input.value = preset.name;
+                input.maxLength = MAX_PRESET_NAME_LENGTH;
+                input.setAttribute('aria-label', `New name for ${preset.name}`);
+
+                let done = false;
+                const commit = () => {
+                    if (done) return;
+                    done = true;
+                    this.renamePreset(index, input.value);
+                };
+                input.addEventListener('blur', commit);
+                input.addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter') {
+                        commit();
+                    } else if (event.key === 'Escape') {
+                        done = true;
+                        this.renderPresets();
+                    }
+                });
+
+                load.replaceWith(input);
+                input.focus();
+                input.select();
+            });
+
+            item.append(
+                load,
+                rename,
+                makeButton('↑', 'Move up', () => this.movePreset(index, -1), index === 0),
+                makeButton('↓', 'Move down', () => this.movePreset(index, 1), index === this.presets.length - 1),
+                makeButton('🔗', 'Share', () => this.sharePreset(index)),
+                makeButton('✕', 'Delete', () => this.deletePreset(index))
+            );
+            this.presetList.appendChild(item);
+        });
+    }
+
+    /**
+     * Render the current sound offline and download it as an audio file
+     * Uses the same worklet, EQ and gain as live playback (no sleep fade)
+     */
+    async exportAudio() {
+        if (this.isExporting) return;
+
+        const minutes = parseFloat(this.exportDuration.value);
+        const format = this.exportFormat.value;
+        const sampleRate = parseInt(this.exportSampleRate.value, 10);
+        const bitDepth = parseInt(this.exportBitDepth.value, 10);
+        const channels = parseInt(this.exportChannels.value, 10);
+
+        if (!(minutes > 0) || minutes > MAX_EXPORT_MINUTES) {
+            this.exportStatus.textContent = `Pick a duration up to ${MAX_EXPORT_MINUTES} minutes`;
+            return;
+        }
+        if (format === 'flac' && bitDepth === 32) {
+            this.exportStatus.textContent = 'FLAC supports 16 or 24-bit only';
+            return;
+        }
+
+        // A fixed seed makes the export reproducible
+        const seedValue = parseInt(this.exportSeed.value, 10);
+        const seed = seedValue >= 0 ? seedValue >>> 0 : Math.floor(Math.random() * 4294967296);
+
+        this.isExporting = true;
+        this.exportAudioButton.disabled = true;
+        this.exportProgress.hidden = false;
+        this.exportProgress.value = 0;
+
+        try {
+            const seconds = minutes * 60;
+            const context = new OfflineAudioContext({
+                numberOfChannels: channels,
+                length: Math.round(seconds * sampleRate),
+                sampleRate
+            });
+            await context.audioWorklet.addModule('noise-processor.js');
+            await context.audioWorklet.addModule('modulation-processor.js');
+
+            // Mono exports render the generators at zero width so the
+            // downmix keeps the same level
+            const stereoWidth = channels === 1 ? 0 : this.stereoWidth;
+
+            const equalizer = new EqualizerChain(context, this.eq);
+            const tinnitusFilter = new EqualizerChain(context, tinnitusEq(this.settings.tinnitus), { smoothing: 0 });
+            this.applyTinnitusFilter(tinnitusFilter);
+            const gain = context.createGain();
+            gain.gain.value = this.getOutputGain();
+            const modulationGain = context.createGain();
+            const limiter = new Limiter(context);
+            limiter.output.connect(context.destination);
+
+            const source = this.createNoiseNode(this.currentNoiseType, this.colorSlope, { context, seed, stereoWidth });
+            source.connect(equalizer.input);
+            equalizer.output.connect(tinnitusFilter.input);
+            tinnitusFilter.output
+                .connect(gain)
+                .connect(modulationGain)
+                .connect(limiter.input);
+
+            // Each layer gets its own stream derived from the seed
+            const sources = [source];
+            this.layers.forEach((layer, index) => {
+                const layerSeed = (seed + index + 1) >>> 0;
+                const nodes = this.createLayerChain(layer, { context, seed: layerSeed, stereoWidth });
+                nodes.gain.connect(equalizer.input);
+                sources.push(nodes.source);
+            });
+
+            // Tones fade in at the start, as they do when switched on
+            if (this.tones.enabled) {
+                this.createToneNode(context).connect(gain);
+            }
+
+            // Modulation as when playing (width stays fixed for mono)
+            const modulation = new ModulationBank(context);
+            modulation.update(this.modulators);
+            modulation.connect(this.modulators, {
+                volume: modulationGain.gain,
+                width: channels === 1 ? [] : sources.map(node => node.parameters.get('widthModulation')),
+                band: index => equalizer.getBand(index)
+            });
+
+            // Pause the render every so often to report progress
+            const step = Math.max(1, seconds / 100);
+            for (let time = step; time < seconds; time += step) {
+                context.suspend(time).then(() => {
+                    this.exportProgress.value = time / seconds;
+                    this.exportStatus.textContent = `Rendering… ${Math.round(time / seconds * 100)}%`;
+                    return context.resume();
+                }).catch(error => {
+                    // Only the progress report is lost, the render carries on
+                    console.warn(`Export progress at ${time.toFixed(1)}s failed: ${error}`);
+                });
+            }
+
+            this.exportStatus.textContent = 'Rendering…';
+            const audioBuffer = await context.startRendering();
+
+            let blob;
+            if (format === 'flac') {
+                this.exportStatus.textContent = 'Encoding FLAC…';
+                blob = await encodeFlac(audioBuffer, bitDepth, progress => {
+                    this.exportProgress.value = progress;
+                });
+            } else {
+                this.exportStatus.textContent = 'Encoding WAV…';
+                blob = encodeWav(audioBuffer, bitDepth);
+            }
+
+            downloadBlob(blob, `whoanoise-${this.currentNoiseType}-${seed}.${format}`);
+            this.exportStatus.textContent = `Exported ${formatDuration(seconds)} (seed ${seed})`;
+        } catch (e) {
+            console.warn(`Audio export failed: ${e}`);
+            this.exportStatus.textContent = `Export failed: ${e.message}`;
+        } finally {
+            this.isExporting = false;
+            this.exportAudioButton.disabled = false;
+            this.exportProgress.hidden = true;
         }
     }
 
+    /**
+     * Snapshot of every sound setting (the contents of a preset)
+     */
+    getState() {
+        return {
+            noiseType: this.currentNoiseType,
+            slope: this.colorSlope,
+            soundParams: this.soundParams,
+            layers: this.layers.map(({ noiseType, gain, muted, pan, eq }) => ({ noiseType, gain, muted, pan, eq })),
+            volume: this.volume,
+            stereoWidth: this.stereoWidth,
+            eq: this.eq,
+            tones: this.tones,
+            modulators: this.modulators.map(({ id, ...modulator }) => modulator),
+            timer: this.sleepTimerMinutes
+        };
+    }
+
+    /**
+     * Save the state, merged with whatever other windows have saved
+     * since this one last looked, and send live changes to them
+     */
     saveState() {
+        this.api.stateChanged();
+
+        // Changes from another window were saved over there
+        if (this.applyingRemote) return;
+
         const state = {
-            noiseType: this.currentNoiseType,
-            eq: {
-                low: parseFloat(this.lowSlider.value),
-                mid: parseFloat(this.midSlider.value),
-                high: parseFloat(this.highSlider.value)
-            }
+            ...this.getState(),
+            settings: this.settings
         };
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+            const stored = localStorage.getItem(STORAGE_KEY);
+            const merged = stored && this.savedState
+                ? mergeChanges(this.savedState, state, JSON.parse(stored))
+                : state;
+            const json = JSON.stringify(merged);
+            localStorage.setItem(STORAGE_KEY, json);
+
+            const live = {};
+            LIVE_KEYS.forEach(key => {
+                if (!this.savedState || JSON.stringify(state[key]) !== JSON.stringify(this.savedState[key])) {
+                    live[key] = state[key];
+                }
+            });
+            this.savedState = JSON.parse(json);
+            if (Object.keys(live).length > 0) {
+                this.tabs.post({ type: 'state', state: live });
+            }
         } catch (e) {
             console.warn(`Failed to save state: ${e}`);
         }
@@ -362,30 +4002,105 @@ class WhoaNoise {
             if (!saved) return;
 
             const state = JSON.parse(saved);
+            this.savedState = state;
+            this.applyState(state);
+            this.restoreSettings(state.settings);
+            this.trackPresets.checked = this.settings.trackButtons === 'presets';
+        } catch (e) {
+            console.warn(`Failed to load state: ${e}`);
+        }
+    }
 
-            // Restore noise type
-            if (state.noiseType) {
-                this.currentNoiseType = state.noiseType;
-                // Update UI to reflect saved noise type
-                this.noiseGrid.querySelectorAll('.noise-btn').forEach(btn => {
-                    btn.classList.toggle('active', btn.dataset.type === state.noiseType);
-                });
+    /**
+     * Restore app preferences
+     * Missing or invalid values keep their current setting
+     */
+    restoreSettings(saved) {
+        if (!saved || typeof saved !== 'object') return;
+
+        if (saved.trackButtons === 'presets' || saved.trackButtons === 'types') {
+            this.settings.trackButtons = saved.trackButtons;
+        }
+        for (const name of ['spectrum', 'spectrumAveraging', 'spectrumPeakHold', 'autoResume']) {
+            if (typeof saved[name] === 'boolean') {
+                this.settings[name] = saved[name];
             }
+        }
+        this.settings.tinnitus = normalizeTinnitus(saved.tinnitus);
+        const fullScale = saved.fullScaleSpl;
+        if (typeof fullScale === 'number' && fullScale >= MIN_FULL_SCALE_SPL && fullScale <= MAX_FULL_SCALE_SPL) {
+            this.settings.fullScaleSpl = fullScale;
+        }
+        this.settings.shortcuts = normalizeShortcuts(saved.shortcuts);
+    }
 
-            // Restore EQ values
-            if (state.eq) {
-                if (typeof state.eq.low === 'number') {
-                    this.lowSlider.value = state.eq.low;
-                }
-                if (typeof state.eq.mid === 'number') {
-                    this.midSlider.value = state.eq.mid;
-                }
-                if (typeof state.eq.high === 'number') {
-                    this.highSlider.value = state.eq.high;
-                }
+    /**
+     * Restore sound settings from a saved state or preset
+     * Missing or invalid values keep their current setting
+     */
+    applyState(saved) {
+        const state = normalizeState(saved, this.getNoiseTypes());
+
+        // Restore noise type
+        if ('noiseType' in state) {
+            this.currentNoiseType = state.noiseType;
+            // Update UI to reflect saved noise type
+            this.updateNoiseButtons();
+        }
+
+        // Restore color slope (presets always use their own slope)
+        if (state.noiseType in COLOR_PRESETS) {
+            this.colorSlope = COLOR_PRESETS[state.noiseType];
+        } else if ('slope' in state) {
+            this.colorSlope = state.slope;
+        }
+        this.colorSlider.value = this.colorSlope;
+
+        // Restore soundscape parameters
+        if (state.soundParams) {
+            for (const [sound, params] of Object.entries(state.soundParams)) {
+                Object.assign(this.soundParams[sound], params);
             }
-        } catch (e) {
-            console.warn(`Failed to load state: ${e}`);
+        }
+
+        // Restore layers (ids are only used at runtime)
+        if (state.layers) {
+            this.layers = state.layers.map(layer => ({ id: this.nextLayerId++, ...layer }));
+        }
+
+        // Restore volume
+        if ('volume' in state) {
+            this.volume = state.volume;
+            this.volumeSlider.value = this.volume;
+        }
+
+        // Restore stereo width
+        if ('stereoWidth' in state) {
+            this.stereoWidth = state.stereoWidth;
+            this.widthSlider.value = this.stereoWidth;
+        }
+
+        // Restore EQ
+        if (state.eq) {
+            this.eq = state.eq;
+            this.selectedEqBand = 0;
+        }
+
+        // Restore entrainment tones
+        if (state.tones) {
+            this.tones = { ...this.tones, ...state.tones };
+        }
+
+        // Restore modulators
+        if (state.modulators) {
+            this.modulators = state.modulators.map(modulator => ({ id: this.nextModulatorId++, ...modulator }));
+        }
+
+        // Restore sleep timer duration
+        if ('timer' in state) {
+            this.sleepTimerMinutes = state.timer;
+            this.timerCustom.value = '';
+            this.updateTimerButtons();
         }
     }
 }
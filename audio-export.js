@@ -0,0 +1,432 @@
+/**
+ * WhoaNoise - Audio file encoders
+ * Encodes rendered AudioBuffers as WAV or FLAC entirely in the browser
+ */
+
+// Samples per FLAC frame
+const FLAC_BLOCK_SIZE = 4096;
+
+// Highest Rice partition order tried per FLAC subframe
+const FLAC_MAX_PARTITION_ORDER = 6;
+
+// How many FLAC frames to encode before yielding to the event loop
+const FLAC_FRAMES_PER_YIELD = 32;
+
+/**
+ * Convert a float sample to a clipped signed integer of the given bit depth
+ */
+function quantize(sample, bitDepth) {
+    const max = Math.pow(2, bitDepth - 1);
+    const value = Math.round(sample * max);
+    return Math.max(-max, Math.min(max - 1, value));
+}
+
+/**
+ * Encode an AudioBuffer as a WAV file
+ * Supports 16 and 24-bit integer PCM and 32-bit float
+ */
+export function encodeWav(audioBuffer, bitDepth) {
+    const channels = audioBuffer.numberOfChannels;
+    const length = audioBuffer.length;
+    const bytesPerSample = bitDepth / 8;
+    const isFloat = bitDepth === 32;
+    const dataSize = length * channels * bytesPerSample;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    // RIFF header
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+
+    // Format chunk (1 = integer PCM, 3 = IEEE float)
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, isFloat ? 3 : 1, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * channels * bytesPerSample, true);
+    view.setUint16(32, channels * bytesPerSample, true);
+    view.setUint16(34, bitDepth, true);
+
+    // Interleaved sample data
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channelData = [];
+    for (let channel = 0; channel < channels; channel++) {
+        channelData.push(audioBuffer.getChannelData(channel));
+    }
+
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        for (let channel = 0; channel < channels; channel++) {
+            const sample = channelData[channel][i];
+            if (isFloat) {
+                view.setFloat32(offset, sample, true);
+            } else if (bitDepth === 16) {
+                view.setInt16(offset, quantize(sample, 16), true);
+            } else {
+                const value = quantize(sample, 24);
+                view.setUint8(offset, value & 0xff);
+                view.setUint8(offset + 1, (value >> 8) & 0xff);
+                view.setUint8(offset + 2, (value >> 16) & 0xff);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Big-endian bit writer with a growable byte buffer
+ */
+class BitWriter {
+    constructor(capacity) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+
+        const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    /**
+     * Write the low n bits of value (n up to 24 per call)
+     */
+    writeBits(value, n) {
+        if (n === 0) return;
+
+        this.ensure(4);
+        this.bitBuffer = (this.bitBuffer << n) | (value & ((1 << n) - 1));
+        this.bitCount += n;
+
+        while (this.bitCount >= 8) {
+            this.bitCount -= 8;
+            this.bytes[this.length++] = (this.bitBuffer >>> this.bitCount) & 0xff;
+        }
+        this.bitBuffer &= (1 << this.bitCount) - 1;
+    }
+
+    /**
+     * Write a value wider than 24 bits (up to 48)
+     */
+    writeLong(value, n) {
+        if (n > 24) {
+            this.writeBits(Math.floor(value / 16777216), n - 24);
+            this.writeBits(value % 16777216, 24);
+        } else {
+            this.writeBits(value, n);
+        }
+    }
+
+    writeSigned(value, n) {
+        this.writeLong(value < 0 ? value + Math.pow(2, n) : value, n);
+    }
+
+    writeUnary(quotient) {
+        while (quotient >= 24) {
+            this.writeBits(0, 24);
+            quotient -= 24;
+        }
+        this.writeBits(1, quotient + 1);
+    }
+
+    alignToByte() {
+        if (this.bitCount > 0) {
+            this.writeBits(0, 8 - this.bitCount);
+        }
+    }
+
+    writeBytes(bytes) {
+        this.ensure(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+}
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+    let crc8 = i;
+    let crc16 = i << 8;
+    for (let bit = 0; bit < 8; bit++) {
+        crc8 = (crc8 & 0x80) ? ((crc8 << 1) ^ 0x07) & 0xff : (crc8 << 1) & 0xff;
+        crc16 = (crc16 & 0x8000) ? ((crc16 << 1) ^ 0x8005) & 0xffff : (crc16 << 1) & 0xffff;
+    }
+    CRC8_TABLE[i] = crc8;
+    CRC16_TABLE[i] = crc16;
+}
+
+function crc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc = CRC8_TABLE[crc ^ bytes[i]];
+    }
+    return crc;
+}
+
+function crc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+    }
+    return crc;
+}
+
+/**
+ * Residual of a FLAC fixed polynomial predictor of the given order
+ */
+function fixedResidual(samples, order, residual) {
+    for (let i = order; i < samples.length; i++) {
+        const s = samples;
+        switch (order) {
+            case 0: residual[i] = s[i]; break;
+            case 1: residual[i] = s[i] - s[i - 1]; break;
+            case 2: residual[i] = s[i] - 2 * s[i - 1] + s[i - 2]; break;
+            case 3: residual[i] = s[i] - 3 * s[i - 1] + 3 * s[i - 2] - s[i - 3]; break;
+            default: residual[i] = s[i] - 4 * s[i - 1] + 6 * s[i - 2] - 4 * s[i - 3] + s[i - 4]; break;
+        }
+    }
+}
+
+/**
+ * Best Rice parameter and its estimated cost in bits for a partition,
+ * given the partition's sample count and sum of folded residuals
+ */
+function riceParameter(count, sum) {
+    let best = { parameter: 0, bits: Infinity };
+    for (let k = 0; k <= 30; k++) {
+        const bits = count * (k + 1) + Math.floor(sum / Math.pow(2, k));
+        if (bits < best.bits) {
+            best = { parameter: k, bits };
+        }
+    }
+    return best;
+}
+
+/**
+ * Pick the partition order with the smallest Rice-coded residual
+ * Sums are gathered once at the finest partitioning and merged for
+ * the coarser ones
+ */
+function planPartitions(folded, blockSize, order) {
+    let maxOrder = 0;
+    while (maxOrder < FLAC_MAX_PARTITION_ORDER
+        && (blockSize >> (maxOrder + 1)) << (maxOrder + 1) === blockSize
+        && (blockSize >> (maxOrder + 1)) > order) {
+        maxOrder++;
+    }
+
+    let sums = new Float64Array(1 << maxOrder);
+    const finestSize = blockSize >> maxOrder;
+    for (let p = 0; p < sums.length; p++) {
+        const start = p === 0 ? order : p * finestSize;
+        for (let i = start; i < (p + 1) * finestSize; i++) {
+            sums[p] += folded[i];
+        }
+    }
+
+    let best = null;
+    for (let partitionOrder = maxOrder; partitionOrder >= 0; partitionOrder--) {
+        const partitionSize = blockSize >> partitionOrder;
+        const parameters = [];
+        let bits = 0;
+        for (let p = 0; p < sums.length; p++) {
+            const count = p === 0 ? partitionSize - order : partitionSize;
+            const { parameter, bits: partitionBits } = riceParameter(count, sums[p]);
+            parameters.push(parameter);
+            bits += 5 + partitionBits;
+        }
+
+        if (!best || bits < best.bits) {
+            best = { partitionOrder, parameters, bits };
+        }
+
+        // Merge neighbouring partitions for the next coarser order
+        if (partitionOrder > 0) {
+            const merged = new Float64Array(sums.length / 2);
+            for (let p = 0; p < merged.length; p++) {
+                merged[p] = sums[2 * p] + sums[2 * p + 1];
+            }
+            sums = merged;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Write one channel of a frame as a fixed-predictor subframe,
+ * choosing the predictor order that codes smallest
+ */
+function writeSubframe(writer, samples, bitDepth, scratch) {
+    const blockSize = samples.length;
+    let best = null;
+
+    for (let order = 0; order <= Math.min(4, blockSize - 1); order++) {
+        const residual = scratch.residuals[order];
+        const folded = scratch.folded[order];
+        fixedResidual(samples, order, residual);
+        for (let i = order; i < blockSize; i++) {
+            folded[i] = residual[i] >= 0 ? residual[i] * 2 : -residual[i] * 2 - 1;
+        }
+
+        const plan = planPartitions(folded, blockSize, order);
+        const bits = order * bitDepth + 6 + plan.bits;
+        if (!best || bits < best.bits) {
+            best = { order, plan, bits };
+        }
+    }
+
+    // Fall back to verbatim if prediction doesn't help
+    if (best.bits >= blockSize * bitDepth) {
+        writer.writeBits(0b00000010, 8);
+        for (let i = 0; i < blockSize; i++) {
+            writer.writeSigned(samples[i], bitDepth);
+        }
+        return;
+    }
+
+    const { order, plan } = best;
+    const folded = scratch.folded[order];
+
+    // Subframe header: zero pad, type 001xxx (fixed, order xxx), no wasted bits
+    writer.writeBits(0b00010000 | (order << 1), 8);
+    for (let i = 0; i < order; i++) {
+        writer.writeSigned(samples[i], bitDepth);
+    }
+
+    // Residual: RICE2 coding with 5-bit parameters
+    writer.writeBits(0b01, 2);
+    writer.writeBits(plan.partitionOrder, 4);
+
+    const partitionSize = blockSize >> plan.partitionOrder;
+    plan.parameters.forEach((k, p) => {
+        writer.writeBits(k, 5);
+        const start = p === 0 ? order : p * partitionSize;
+        const divisor = Math.pow(2, k);
+        for (let i = start; i < (p + 1) * partitionSize; i++) {
+            const value = folded[i];
+            const quotient = Math.floor(value / divisor);
+            writer.writeUnary(quotient);
+            writer.writeLong(value - quotient * divisor, k);
+        }
+    });
+}
+
+/**
+ * Write a frame number in FLAC's UTF-8-like variable length coding
+ */
+function writeFrameNumber(writer, number) {
+    if (number < 0x80) {
+        writer.writeBits(number, 8);
+        return;
+    }
+
+    let continuationBytes = 1;
+    while (number >= Math.pow(2, 5 * continuationBytes + 6)) {
+        continuationBytes++;
+    }
+
+    const leadBits = 6 - continuationBytes;
+    const lead = (0xff << (7 - continuationBytes)) & 0xff;
+    writer.writeBits(lead | (Math.floor(number / Math.pow(2, 6 * continuationBytes)) & ((1 << leadBits) - 1)), 8);
+    for (let i = continuationBytes - 1; i >= 0; i--) {
+        writer.writeBits(0x80 | (Math.floor(number / Math.pow(2, 6 * i)) & 0x3f), 8);
+    }
+}
+
+/**
+ * Encode an AudioBuffer as a FLAC file (16 or 24-bit)
+ * Each channel is coded independently with fixed predictors and
+ * partitioned Rice coding; onProgress receives 0-1 as frames are written
+ */
+export async function encodeFlac(audioBuffer, bitDepth, onProgress = () => {}) {
+    const channels = audioBuffer.numberOfChannels;
+    const length = audioBuffer.length;
+    const sampleRate = audioBuffer.sampleRate;
+    const writer = new BitWriter(length * channels * (bitDepth / 8) + 1024);
+
+    // "fLaC" marker and STREAMINFO metadata block (last block, 34 bytes)
+    writer.writeBytes(new Uint8Array([0x66, 0x4c, 0x61, 0x43]));
+    writer.writeBits(0x80, 8);
+    writer.writeBits(34, 24);
+    writer.writeBits(FLAC_BLOCK_SIZE, 16);
+    writer.writeBits(FLAC_BLOCK_SIZE, 16);
+    writer.writeBits(0, 24);
+    writer.writeBits(0, 24);
+    writer.writeBits(sampleRate, 20);
+    writer.writeBits(channels - 1, 3);
+    writer.writeBits(bitDepth - 1, 5);
+    writer.writeLong(length, 36);
+    // MD5 signature left as zero (unknown)
+    writer.writeBytes(new Uint8Array(16));
+
+    const channelData = [];
+    for (let channel = 0; channel < channels; channel++) {
+        channelData.push(audioBuffer.getChannelData(channel));
+    }
+
+    const scratch = { residuals: [], folded: [] };
+    for (let order = 0; order <= 4; order++) {
+        scratch.residuals.push(new Int32Array(FLAC_BLOCK_SIZE));
+        scratch.folded.push(new Float64Array(FLAC_BLOCK_SIZE));
+    }
+    const samples = new Int32Array(FLAC_BLOCK_SIZE);
+    const sampleSizeCode = bitDepth === 16 ? 0b100 : 0b110;
+    const frameCount = Math.ceil(length / FLAC_BLOCK_SIZE);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const start = frame * FLAC_BLOCK_SIZE;
+        const blockSize = Math.min(FLAC_BLOCK_SIZE, length - start);
+        const frameStart = writer.length;
+
+        // Frame header: sync, fixed blocking, 16-bit block size at the end,
+        // sample rate from STREAMINFO, independent channels
+        writer.writeBits(0b11111111111110, 14);
+        writer.writeBits(0, 2);
+        writer.writeBits(0b0111, 4);
+        writer.writeBits(0b0000, 4);
+        writer.writeBits(channels - 1, 4);
+        writer.writeBits(sampleSizeCode, 3);
+        writer.writeBits(0, 1);
+        writeFrameNumber(writer, frame);
+        writer.writeBits(blockSize - 1, 16);
+        writer.writeBits(crc8(writer.bytes, frameStart, writer.length), 8);
+
+        for (let channel = 0; channel < channels; channel++) {
+            const block = samples.subarray(0, blockSize);
+            const data = channelData[channel];
+            for (let i = 0; i < blockSize; i++) {
+                block[i] = quantize(data[start + i], bitDepth);
+            }
+            writeSubframe(writer, block, bitDepth, scratch);
+        }
+
+        writer.alignToByte();
+        writer.writeBits(crc16(writer.bytes, frameStart, writer.length), 16);
+
+        // Keep the page responsive during long encodes
+        if (frame % FLAC_FRAMES_PER_YIELD === FLAC_FRAMES_PER_YIELD - 1) {
+            onProgress(frame / frameCount);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    onProgress(1);
+    return new Blob([writer.bytes.subarray(0, writer.length)], { type: 'audio/flac' });
+}
@@ -0,0 +1,127 @@
+/**
+ * Benchmark for the noise generators in dsp-core.js
+ * Measures how long a stereo pair of channels takes to set up, the
+ * memory it holds, and the CPU time per second of audio for each type,
+ * the main thing that costs battery while playing
+ * --baseline measures the old white noise source instead: two 15 second
+ * buffers per channel, filled up front and topped up by the processor
+ *
+ * Run with: node bench/generators.js [sampleRate] [--baseline]
+ */
+
+import { SOUND_PARAMS, SlopeFilter, NoiseChannel } from '../dsp-core.js';
+
+const args = process.argv.slice(2);
+const sampleRate = parseInt(args.find(arg => !arg.startsWith('--')), 10) || 48000;
+const baseline = args.includes('--baseline');
+
+// Audio rendered per measurement, and how many runs to take the best of
+const SECONDS = 60;
+const RUNS = 3;
+
+const BLOCK_LENGTH = 128;
+
+// The old buffers held 15 seconds at 48 kHz whatever the rate, and the
+// processor refilled 4800 samples of each every 10th block
+const BUFFER_SIZE = 48000 * 15;
+const REFILL_SAMPLES = 4800;
+const REFILL_BLOCKS = 10;
+
+/**
+ * NoiseChannel with white noise read from double buffers, as it was
+ * before it was drawn on demand; everything built on white() is the
+ * current code, so the difference is the buffering alone
+ */
+class BufferedChannel extends NoiseChannel {
+  constructor(sampleRate, slopeFilter, soundParams, seed) {
+    super(sampleRate, slopeFilter, soundParams, seed);
+
+    this.activeBuffer = new Float32Array(BUFFER_SIZE);
+    this.inactiveBuffer = new Float32Array(BUFFER_SIZE);
+    this.index = 0;
+    this.fillPointer = 0;
+    this.bufferFill(this.activeBuffer, 0, BUFFER_SIZE);
+    this.bufferFill(this.inactiveBuffer, 0, BUFFER_SIZE);
+  }
+
+  bufferFill(buffer, start, count) {
+    for (let i = 0; i < count && start + i < buffer.length; i++) {
+      buffer[start + i] = this.random.nextBipolar();
+    }
+  }
+
+  refill(amount) {
+    if (this.fillPointer < BUFFER_SIZE) {
+      this.bufferFill(this.inactiveBuffer, this.fillPointer, amount);
+      this.fillPointer += amount;
+    }
+  }
+
+  white() {
+    const sample = this.activeBuffer[this.index++];
+    if (this.index >= BUFFER_SIZE) {
+      [this.activeBuffer, this.inactiveBuffer] = [this.inactiveBuffer, this.activeBuffer];
+      this.index = 0;
+      this.fillPointer = 0;
+    }
+    return sample;
+  }
+}
+
+const Channel = baseline ? BufferedChannel : NoiseChannel;
+
+const soundParams = {};
+for (const [sound, ranges] of Object.entries(SOUND_PARAMS)) {
+  soundParams[sound] = {};
+  for (const [name, range] of Object.entries(ranges)) {
+    soundParams[sound][name] = range.value;
+  }
+}
+
+const slopeFilter = new SlopeFilter(sampleRate);
+slopeFilter.design(-3);
+
+const startTime = performance.now();
+const channels = [
+  new Channel(sampleRate, slopeFilter, soundParams, 1),
+  new Channel(sampleRate, slopeFilter, soundParams, 2)
+];
+const setupTime = performance.now() - startTime;
+
+// Bytes of typed arrays the channels hold (their sample and filter state)
+let memory = 0;
+for (const channel of channels) {
+  for (const value of [...Object.values(channel), channel.random.state]) {
+    if (ArrayBuffer.isView(value)) {
+      memory += value.byteLength;
+    }
+  }
+}
+
+console.log(`Sample rate: ${sampleRate} Hz${baseline ? ', buffered white noise (baseline)' : ''}`);
+console.log(`Setup: ${setupTime.toFixed(2)} ms, ${(memory / 1024).toFixed(1)} KB of generator state`);
+
+const block = new Float32Array(BLOCK_LENGTH);
+const blocks = Math.round(SECONDS * sampleRate / BLOCK_LENGTH);
+
+for (const noiseType of ['white', 'pink', 'brown', 'blue', 'violet', 'color', ...Object.keys(SOUND_PARAMS)]) {
+  let best = Infinity;
+  for (let run = 0; run < RUNS; run++) {
+    const start = performance.now();
+    for (let b = 0; b < blocks; b++) {
+      for (const channel of channels) {
+        for (let i = 0; i < BLOCK_LENGTH; i++) {
+          block[i] = channel.getSample(noiseType);
+        }
+      }
+      if (baseline && b % REFILL_BLOCKS === REFILL_BLOCKS - 1) {
+        channels.forEach(channel => channel.refill(REFILL_SAMPLES));
+      }
+    }
+    best = Math.min(best, performance.now() - start);
+  }
+
+  // Share of one core spent generating in real time
+  const perSecond = best / SECONDS;
+  console.log(`${noiseType.padEnd(7)} ${perSecond.toFixed(3)} ms per second (${(perSecond / 10).toFixed(3)}% CPU)`);
+}
@@ -0,0 +1,525 @@
+/**
+ * WhoaNoise - DSP core
+ * The noise and soundscape generators, free of any audio API so the
+ * worklet and Node (for the tests in test/) can both use them
+ * Everything that depends on the sample rate takes it explicitly
+ */
+
+/**
+ * Tunable parameters of the soundscape generators, with their ranges
+ * and defaults
+ */
+export const SOUND_PARAMS = {
+  rain: {
+    density: { min: 0, max: 200, value: 40 },   // droplets per second
+    brightness: { min: 0, max: 1, value: 0.5 }  // tone of the hiss and drops
+  },
+  surf: {
+    period: { min: 4, max: 20, value: 10 },     // seconds between waves
+    depth: { min: 0, max: 1, value: 0.8 }       // how much the waves swell
+  },
+  wind: {
+    speed: { min: 0.1, max: 1, value: 0.5 },    // how quickly gusts move
+    resonance: { min: 0, max: 1, value: 0.5 }   // whistle of the band-pass
+  },
+  fan: {
+    pitch: { min: 30, max: 120, value: 50 },    // motor hum fundamental (Hz)
+    hum: { min: 0, max: 1, value: 0.3 }         // hum level against the airflow
+  }
+};
+
+// Corner of brown noise's leaky integrator (Hz), where the -6 dB/octave
+// slope levels off; the leak of 1/1.02 per sample the integrator had
+// when it assumed 48 kHz
+const BROWN_CUTOFF = 151.3;
+
+// Number of droplets that can ring at the same time in the rain generator
+const RAIN_DROP_VOICES = 8;
+
+/**
+ * Coefficient for a one-pole smoothing filter at a cutoff frequency
+ */
+export function onePoleCoefficient(frequency, sampleRate) {
+  return 1 - Math.exp(-2 * Math.PI * frequency / sampleRate);
+}
+
+/**
+ * Seedable pseudo-random number generator (xoshiro128**)
+ * Fast 32-bit generator, so a given seed always reproduces the same
+ * noise bit for bit
+ */
+export class Random {
+  constructor(seed) {
+    // Expand the seed into the 128-bit state with splitmix32
+    this.state = new Uint32Array(4);
+    let x = seed >>> 0;
+    for (let i = 0; i < 4; i++) {
+      x = (x + 0x9e3779b9) >>> 0;
+      let z = x;
+      z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+      z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+      this.state[i] = (z ^ (z >>> 16)) >>> 0;
+    }
+  }
+
+  /**
+   * Next 32-bit unsigned integer
+   */
+  nextUint32() {
+    const s = this.state;
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+
+    return result;
+  }
+
+  /**
+   * Next float uniformly distributed in [0, 1)
+   */
+  nextUnit() {
+    return this.nextUint32() / 4294967296;
+  }
+
+  /**
+   * Next float uniformly distributed in [-1, 1)
+   */
+  nextBipolar() {
+    return this.nextUint32() / 2147483648 - 1;
+  }
+}
+
+/**
+ * Rotate a 32-bit integer left
+ */
+function rotl(x, k) {
+  return (x << k) | (x >>> (32 - k));
+}
+
+/**
+ * Noise shaping filter with an arbitrary spectral slope
+ * A cascade of first-order pole/zero pairs, one per octave, gives a
+ * 1/f^α spectrum across the audio band. Each pair drops the level by
+ * the per-octave slope, so the steps add up to a straight line on a
+ * log-frequency plot (within a fraction of a dB).
+ */
+export class SlopeFilter {
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+
+    // Lowest pole frequency; the spectrum is flat below this so steep
+    // slopes don't pile up energy at subsonic frequencies
+    this.lowFrequency = 20;
+    this.sectionCount = 0;
+    while (this.lowFrequency * Math.pow(2, this.sectionCount) < this.sampleRate / 2) {
+      this.sectionCount++;
+    }
+
+    this.poles = new Float64Array(this.sectionCount);
+    this.zeros = new Float64Array(this.sectionCount);
+    this.gain = 1;
+    this.slope = null;
+  }
+
+  /**
+   * Compute coefficients for a slope in dB/octave (-9 to +6)
+   * The output is normalized to the same power as its white input
+   */
+  design(slope) {
+    if (slope === this.slope) return;
+    this.slope = slope;
+
+    // Amplitude exponent: -6 dB/octave is 1/f in amplitude
+    const h = -slope / 6;
+
+    for (let k = 0; k < this.sectionCount; k++) {
+      const pole = this.lowFrequency * Math.pow(2, k);
+      const zero = pole * Math.pow(2, h);
+      // Matched z-transform of each analog pole and zero
+      this.poles[k] = Math.exp(-2 * Math.PI * pole / this.sampleRate);
+      this.zeros[k] = Math.exp(-2 * Math.PI * zero / this.sampleRate);
+    }
+
+    this.gain = 1 / Math.sqrt(this.meanPowerGain());
+  }
+
+  /**
+   * Average power gain over the whole band, integrated numerically
+   * on a log-spaced frequency grid
+   */
+  meanPowerGain() {
+    const points = 256;
+    const nyquist = this.sampleRate / 2;
+    let previousFrequency = 0;
+    let previousPower = this.powerGain(0);
+    let total = 0;
+
+    for (let i = 0; i < points; i++) {
+      const frequency = Math.pow(nyquist, i / (points - 1));
+      const power = this.powerGain(frequency);
+      total += (power + previousPower) * 0.5 * (frequency - previousFrequency);
+      previousFrequency = frequency;
+      previousPower = power;
+    }
+
+    return total / nyquist;
+  }
+
+  /**
+   * Squared magnitude response at a frequency (before normalization)
+   */
+  powerGain(frequency) {
+    const cos = Math.cos(2 * Math.PI * frequency / this.sampleRate);
+    let power = 1;
+    for (let k = 0; k < this.sectionCount; k++) {
+      const a = this.zeros[k];
+      const b = this.poles[k];
+      power *= (1 - 2 * a * cos + a * a) / (1 - 2 * b * cos + b * b);
+    }
+    return power;
+  }
+}
+
+/**
+ * Noise generator state for a single output channel
+ * Each channel owns its random source and filter state so the
+ * channels are fully decorrelated from each other
+ */
+export class NoiseChannel {
+  constructor(sampleRate, slopeFilter, soundParams, seed) {
+    this.sampleRate = sampleRate;
+
+    // Random source for this channel, drawn from one sample at a time
+    this.random = new Random(seed);
+
+    // Pink noise state (Voss-McCartney algorithm)
+    this.pinkRows = new Float32Array(16);
+    this.pinkRunningSum = 0;
+    this.pinkIndex = 0;
+    this.pinkIndexMask = (1 << 16) - 1;
+
+    // Brown noise state: a one-pole low-pass at a fixed frequency, with
+    // the output gain scaled so its level doesn't depend on the rate
+    this.brownCoeff = onePoleCoefficient(BROWN_CUTOFF, this.sampleRate);
+    this.brownGain = 3.5 * Math.sqrt(this.sampleRate / 48000);
+    this.brownLast = 0;
+
+    // Blue/Violet noise state
+    this.blueLast = 0;
+    this.violetLast = 0;
+
+    // Continuous color state (coefficients are shared between channels)
+    this.slopeFilter = slopeFilter;
+    this.slopeInputs = new Float64Array(slopeFilter.sectionCount);
+    this.slopeOutputs = new Float64Array(slopeFilter.sectionCount);
+
+    // Soundscape parameters (shared between channels)
+    this.soundParams = soundParams;
+
+    // Rain state: band-limited hiss plus a pool of ringing droplets
+    this.rainLowCoeff = onePoleCoefficient(400, this.sampleRate);
+    this.rainLow = 0;
+    this.rainBed = 0;
+    this.dropLevels = new Float64Array(RAIN_DROP_VOICES);
+    this.dropDecays = new Float64Array(RAIN_DROP_VOICES);
+    this.dropPhases = new Float64Array(RAIN_DROP_VOICES);
+    this.dropSteps = new Float64Array(RAIN_DROP_VOICES);
+    this.dropChirps = new Float64Array(RAIN_DROP_VOICES);
+
+    // Surf state: position within the current wave and a swell envelope
+    this.surfPhase = this.random.nextUnit();
+    this.surfStep = 1 / (this.sampleRate * soundParams.surf.period);
+    this.surfEnvelope = 0;
+    this.surfEnvelopeCoeff = onePoleCoefficient(3, this.sampleRate);
+    this.surfLow1 = 0;
+    this.surfLow2 = 0;
+
+    // Wind state: a random walk steering a resonant band-pass
+    this.windTarget = this.random.nextUnit();
+    this.windGust = this.windTarget;
+    this.windSmooth = this.windTarget;
+    this.windCountdown = 0;
+    this.windBand1 = 0;
+    this.windBand2 = 0;
+    this.windRumbleCoeff = onePoleCoefficient(150, this.sampleRate);
+    this.windRumble = 0;
+
+    // Fan state: brown airflow plus a slowly drifting motor hum
+    this.fanLast = 0;
+    this.fanPhase = this.random.nextUnit() * 2 * Math.PI;
+    this.fanDriftCoeff = onePoleCoefficient(0.5, this.sampleRate);
+    this.fanDrift = 0;
+  }
+
+  /**
+   * Next white noise sample, uniform in [-1, 1)
+   */
+  white() {
+    return this.random.nextBipolar();
+  }
+
+  /**
+   * Generate pink noise using Voss-McCartney algorithm
+   * Pink noise has equal energy per octave (1/f spectrum)
+   */
+  pink() {
+    const white = this.white();
+
+    // Voss-McCartney algorithm
+    this.pinkIndex = (this.pinkIndex + 1) & this.pinkIndexMask;
+
+    // Calculate how many rows need to change
+    let numZeros = 0;
+    let n = this.pinkIndex;
+    while ((n & 1) === 0 && numZeros < 16) {
+      numZeros++;
+      n >>= 1;
+    }
+
+    // Update the running sum with changed rows
+    if (numZeros < 16) {
+      this.pinkRunningSum -= this.pinkRows[numZeros];
+      const newValue = white;
+      this.pinkRunningSum += newValue;
+      this.pinkRows[numZeros] = newValue;
+    }
+
+    // Add white noise for high frequencies and normalize
+    return (this.pinkRunningSum + white) / 17;
+  }
+
+  /**
+   * Generate brown (Brownian/red) noise
+   * Brown noise is integrated white noise, emphasizing low frequencies
+   */
+  brown() {
+    const white = this.white();
+    // Leaky integration (a low-pass far below the audio band) to
+    // prevent DC drift
+    this.brownLast += this.brownCoeff * (white - this.brownLast);
+    return this.brownLast * this.brownGain;
+  }
+
+  /**
+   * Generate blue noise
+   * Blue noise has increasing power with frequency (+3dB/octave):
+   * differentiating pink noise turns its -3 into +3 dB/octave
+   */
+  blue() {
+    const pink = this.pink();
+    const blue = pink - this.blueLast;
+    this.blueLast = pink;
+    return blue * 2;
+  }
+
+  /**
+   * Generate violet noise
+   * Violet noise has even stronger high frequency emphasis (+6dB/octave):
+   * differentiated white noise
+   */
+  violet() {
+    const white = this.white();
+    const violet = white - this.violetLast;
+    this.violetLast = white;
+    return violet * 0.7;
+  }
+
+  /**
+   * Generate noise with any spectral slope
+   * White noise shaped by the shared slope filter
+   */
+  color() {
+    const filter = this.slopeFilter;
+    let x = this.white();
+
+    for (let k = 0; k < filter.sectionCount; k++) {
+      const y = x - filter.zeros[k] * this.slopeInputs[k] + filter.poles[k] * this.slopeOutputs[k];
+      this.slopeInputs[k] = x;
+      this.slopeOutputs[k] = y;
+      x = y;
+    }
+
+    return x * filter.gain;
+  }
+
+  /**
+   * Generate rain
+   * A steady band-limited hiss with randomly spaced droplets, each a
+   * short, slightly rising ping mixed with a splash of noise
+   */
+  rain() {
+    const params = this.soundParams.rain;
+    const white = this.white();
+
+    // Hiss: high-passed around 400Hz, brightness sets the top end
+    this.rainLow += this.rainLowCoeff * (white - this.rainLow);
+    const highpassed = white - this.rainLow;
+    this.rainBed += onePoleCoefficient(2000 + 8000 * params.brightness, this.sampleRate) * (highpassed - this.rainBed);
+
+    // Poisson-distributed droplet onsets
+    if (this.random.nextUnit() < params.density / this.sampleRate) {
+      this.triggerDrop(params);
+    }
+
+    let drops = 0;
+    for (let v = 0; v < RAIN_DROP_VOICES; v++) {
+      const level = this.dropLevels[v];
+      if (level < 1e-4) continue;
+
+      this.dropPhases[v] += this.dropSteps[v];
+      this.dropSteps[v] *= this.dropChirps[v];
+      drops += level * (0.7 * Math.sin(this.dropPhases[v]) + 0.3 * white);
+      this.dropLevels[v] = level * this.dropDecays[v];
+    }
+
+    return this.rainBed * 0.6 + drops * 0.5;
+  }
+
+  /**
+   * Start a droplet on the quietest voice
+   */
+  triggerDrop(params) {
+    let voice = 0;
+    for (let v = 1; v < RAIN_DROP_VOICES; v++) {
+      if (this.dropLevels[v] < this.dropLevels[voice]) voice = v;
+    }
+
+    const frequency = 800 + (1500 + 2500 * params.brightness) * this.random.nextUnit();
+    const decayTime = 0.003 + 0.012 * this.random.nextUnit();
+    const loudness = this.random.nextUnit();
+
+    this.dropLevels[voice] = 0.2 + 0.8 * loudness * loudness;
+    this.dropDecays[voice] = Math.exp(-1 / (this.sampleRate * decayTime));
+    this.dropPhases[voice] = 0;
+    this.dropSteps[voice] = 2 * Math.PI * frequency / this.sampleRate;
+    // Pitch rises by half over the decay, like a drop hitting water
+    this.dropChirps[voice] = Math.exp(Math.log(1.5) / (this.sampleRate * decayTime));
+  }
+
+  /**
+   * Generate ocean surf
+   * Low-passed noise that slowly swells, breaks and washes out, with
+   * each wave a little longer or shorter than the last
+   */
+  surf() {
+    const params = this.soundParams.surf;
+    const white = this.white();
+
+    this.surfPhase += this.surfStep;
+    if (this.surfPhase >= 1) {
+      this.surfPhase -= 1;
+      this.surfStep = 1 / (this.sampleRate * params.period * (0.75 + 0.5 * this.random.nextUnit()));
+    }
+
+    // Slow build-up, then a long wash back out after the break
+    const t = this.surfPhase;
+    const swell = t < 0.7 ? (t / 0.7) * (t / 0.7) : Math.exp(-(t - 0.7) * 10);
+    this.surfEnvelope += this.surfEnvelopeCoeff * (swell - this.surfEnvelope);
+    const envelope = this.surfEnvelope;
+
+    // Two-pole low-pass that opens up as the wave breaks
+    const coeff = onePoleCoefficient(250 + 2500 * envelope, this.sampleRate);
+    this.surfLow1 += coeff * (white - this.surfLow1);
+    this.surfLow2 += coeff * (this.surfLow1 - this.surfLow2);
+
+    return this.surfLow2 * (1 - params.depth + params.depth * envelope);
+  }
+
+  /**
+   * Generate wind
+   * Noise through a resonant band-pass whose center and level follow a
+   * smoothed random walk, over a soft low rumble
+   */
+  wind() {
+    const params = this.soundParams.wind;
+    const white = this.white();
+
+    // Pick a new gust target every few seconds and glide towards it
+    if (--this.windCountdown <= 0) {
+      this.windTarget = this.random.nextUnit();
+      this.windCountdown = Math.round(this.sampleRate * (1 + 3 * this.random.nextUnit()) / params.speed);
+    }
+    const glide = params.speed / (this.sampleRate * 1.5);
+    this.windGust += glide * (this.windTarget - this.windGust);
+    this.windSmooth += glide * (this.windGust - this.windSmooth);
+
+    // State-variable band-pass (trapezoidal integration), unity peak gain
+    const frequency = 200 + 1000 * this.windSmooth;
+    const g = Math.tan(Math.PI * frequency / this.sampleRate);
+    const k = 1 / (0.7 + 10 * params.resonance);
+    const a1 = 1 / (1 + g * (g + k));
+    const v3 = white - this.windBand2;
+    const v1 = a1 * this.windBand1 + g * a1 * v3;
+    const v2 = this.windBand2 + g * v1;
+    this.windBand1 = 2 * v1 - this.windBand1;
+    this.windBand2 = 2 * v2 - this.windBand2;
+
+    this.windRumble += this.windRumbleCoeff * (white - this.windRumble);
+
+    return (v1 * k + 0.3 * this.windRumble) * (0.3 + 0.7 * this.windSmooth);
+  }
+
+  /**
+   * Generate fan noise
+   * Brown-noise airflow pulsing with the blades, plus a motor hum made
+   * of a few harmonics whose pitch drifts slightly
+   */
+  fan() {
+    const params = this.soundParams.fan;
+    const white = this.white();
+
+    // Airflow: leaky integration, as in brown()
+    this.fanLast += this.brownCoeff * (white - this.fanLast);
+
+    // Pitch drifts by around half a percent
+    this.fanDrift += this.fanDriftCoeff * (white - this.fanDrift);
+    const pitch = params.pitch * (1 + 1.5 * this.fanDrift);
+    this.fanPhase += 2 * Math.PI * pitch / this.sampleRate;
+    if (this.fanPhase >= 2 * Math.PI) {
+      this.fanPhase -= 2 * Math.PI;
+    }
+
+    let hum = 0;
+    for (let harmonic = 1; harmonic <= 5; harmonic++) {
+      hum += Math.sin(harmonic * this.fanPhase) / (harmonic * harmonic);
+    }
+
+    const airflow = this.fanLast * this.brownGain * (1 + 0.2 * Math.sin(this.fanPhase));
+    return airflow + params.hum * hum * 0.5;
+  }
+
+  /**
+   * Get a noise sample of the given type
+   */
+  getSample(noiseType) {
+    switch (noiseType) {
+      case 'pink':
+        return this.pink();
+      case 'brown':
+        return this.brown();
+      case 'blue':
+        return this.blue();
+      case 'violet':
+        return this.violet();
+      case 'color':
+        return this.color();
+      case 'rain':
+        return this.rain();
+      case 'surf':
+        return this.surf();
+      case 'wind':
+        return this.wind();
+      case 'fan':
+        return this.fan();
+      case 'white':
+      default:
+        return this.white();
+    }
+  }
+}
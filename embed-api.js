@@ -0,0 +1,242 @@
+/**
+ * WhoaNoise - Control API
+ * Lets a page that embeds WhoaNoise in an iframe drive it over
+ * postMessage, and scripts on the page itself through window.whoanoise;
+ * both run the same commands on the app and hear the same events
+ */
+
+import { BAND_TYPES, MIN_FREQUENCY, MAX_FREQUENCY, MAX_GAIN, MIN_Q, MAX_Q } from './equalizer.js';
+
+// Bumped whenever a command or event changes in a way callers would notice
+export const API_VERSION = 1;
+
+// Message types on the wire
+const COMMAND_MESSAGE = 'whoanoise:command';
+const RESPONSE_MESSAGE = 'whoanoise:response';
+const EVENT_MESSAGE = 'whoanoise:event';
+
+// Where the deployer lists the origins allowed to embed and control the app
+const ORIGINS_META = 'whoanoise-embed-origins';
+
+function requireNumber(args, name, min, max) {
+    const value = args[name];
+    if (typeof value !== 'number' || !isFinite(value) || value < min || value > max) {
+        throw new RangeError(`${name} must be a number from ${min} to ${max}`);
+    }
+    return value;
+}
+
+function optionalNumber(args, name, min, max) {
+    return args[name] === undefined ? undefined : requireNumber(args, name, min, max);
+}
+
+/**
+ * Origins allowed to send commands, from the space separated list in
+ * <meta name="whoanoise-embed-origins">; the page's own origin always is
+ */
+export function readAllowedOrigins(doc = document) {
+    const meta = doc.querySelector(`meta[name="${ORIGINS_META}"]`);
+    const origins = new Set([location.origin]);
+    if (!meta) return origins;
+
+    for (const entry of meta.content.split(/\s+/).filter(Boolean)) {
+        try {
+            origins.add(new URL(entry).origin);
+        } catch (e) {
+            console.warn(`Ignoring embed origin ${entry}: ${e}`);
+        }
+    }
+    return origins;
+}
+
+/**
+ * The commands, their checks and the events, over the app's own methods
+ * Every command resolves with the state after it has run
+ */
+export class ControlApi {
+    constructor(app, options) {
+        this.app = app;
+        this.allowedOrigins = options.allowedOrigins;
+        this.maxTimerMinutes = options.maxTimerMinutes;
+
+        // Listeners added through window.whoanoise, by event name, and
+        // the windows that have sent commands, with their origins
+        this.listeners = new Map();
+        this.clients = new Map();
+        this.stateTimeout = null;
+
+        this.commands = {
+            play: () => this.app.autoplay(),
+            stop: () => {
+                if (this.app.isPlaying) {
+                    this.app.stop();
+                }
+            },
+            setType: (args) => {
+                if (!this.app.getNoiseTypes().includes(args.type)) {
+                    throw new RangeError(`type must be one of ${this.app.getNoiseTypes().join(', ')}`);
+                }
+                this.app.selectNoiseType(args.type);
+            },
+            setEqBand: (args) => {
+                const band = args.band;
+                if (!Number.isInteger(band) || !this.app.eq.bands[band]) {
+                    throw new RangeError(`band must be a band index from 0 to ${this.app.eq.bands.length - 1}`);
+                }
+                if (args.type !== undefined && !Object.hasOwn(BAND_TYPES, args.type)) {
+                    throw new RangeError(`type must be one of ${Object.keys(BAND_TYPES).join(', ')}`);
+                }
+                const changes = {
+                    type: args.type,
+                    frequency: optionalNumber(args, 'frequency', MIN_FREQUENCY, MAX_FREQUENCY),
+                    gain: optionalNumber(args, 'gain', -MAX_GAIN, MAX_GAIN),
+                    q: optionalNumber(args, 'q', MIN_Q, MAX_Q)
+                };
+                this.app.setEqBand(band, Object.fromEntries(
+                    Object.entries(changes).filter(([, value]) => value !== undefined)
+                ));
+            },
+            setVolume: (args) => {
+                this.app.setVolume(requireNumber(args, 'volume', 0, 100));
+            },
+            startTimer: (args) => {
+                const minutes = requireNumber(args, 'minutes', 0, this.maxTimerMinutes);
+                if (!Number.isInteger(minutes)) {
+                    throw new RangeError('minutes must be a whole number');
+                }
+                this.app.setSleepTimer(minutes);
+            },
+            getState: () => {}
+        };
+    }
+
+    /**
+     * Start taking commands, and tell an embedding page the app is ready
+     */
+    start() {
+        window.addEventListener('message', (event) => this.handleMessage(event));
+        this.emit('ready');
+    }
+
+    async run(command, args = {}) {
+        if (!Object.hasOwn(this.commands, command)) {
+            throw new Error(`Unknown command ${command}`);
+        }
+        if (args === null || typeof args !== 'object') {
+            throw new TypeError('args must be an object');
+        }
+        await this.commands[command](args);
+        return this.getState();
+    }
+
+    handleMessage(event) {
+        const message = event.data;
+        if (!message || message.type !== COMMAND_MESSAGE) return;
+
+        if (!this.allowedOrigins.has(event.origin)) {
+            console.warn(`Ignoring a command from ${event.origin}, which is not an allowed origin`);
+            return;
+        }
+        if (!event.source) return;
+
+        const source = event.source;
+        const reply = (response) => {
+            source.postMessage({ type: RESPONSE_MESSAGE, version: API_VERSION, id: message.id, ...response }, event.origin);
+        };
+        if (message.version !== API_VERSION) {
+            reply({ ok: false, error: `Unsupported API version ${message.version}, this is version ${API_VERSION}` });
+            return;
+        }
+
+        // Whoever sends commands hears the events from then on
+        this.clients.set(source, event.origin);
+        this.run(message.command, message.args).then(
+            (state) => reply({ ok: true, state }),
+            (error) => reply({ ok: false, error: error.message })
+        );
+    }
+
+    /**
+     * Snapshot of what callers can see and set
+     * The timer's remaining time is in seconds, null unless it's counting
+     */
+    getState() {
+        const app = this.app;
+        const remaining = app.sleepTimerEnd !== null
+            ? Math.max(0, Math.round(app.sleepTimerEnd - app.audioContext.currentTime))
+            : null;
+
+        return {
+            playing: app.isPlaying,
+            interrupted: app.interrupted,
+            type: app.currentNoiseType,
+            slope: app.colorSlope,
+            volume: app.volume,
+            timer: { minutes: app.sleepTimerMinutes, remaining },
+            eq: JSON.parse(JSON.stringify(app.eq))
+        };
+    }
+
+    /**
+     * Called on every change the app saves or shows; a burst of them
+     * (a slider drag, a preset load) goes out as one statechange
+     */
+    stateChanged() {
+        if (this.stateTimeout) return;
+        this.stateTimeout = setTimeout(() => {
+            this.stateTimeout = null;
+            this.emit('statechange');
+        }, 0);
+    }
+
+    emit(name) {
+        const state = this.getState();
+        (this.listeners.get(name) || []).forEach(listener => {
+            try {
+                listener(state);
+            } catch (e) {
+                console.warn(`A whoanoise ${name} listener failed: ${e}`);
+            }
+        });
+
+        const message = { type: EVENT_MESSAGE, version: API_VERSION, event: name, state };
+        this.clients.forEach((origin, client) => {
+            if (client.closed) {
+                this.clients.delete(client);
+            } else {
+                client.postMessage(message, origin);
+            }
+        });
+
+        // The embedding page may not have sent anything yet; messages to
+        // an origin it doesn't have are dropped by the browser
+        if (window.parent !== window && !this.clients.has(window.parent)) {
+            this.allowedOrigins.forEach(origin => window.parent.postMessage(message, origin));
+        }
+    }
+
+    /**
+     * The object exposed as window.whoanoise: the commands as methods
+     * taking the same arguments, plus on() and off() for the events
+     */
+    createScriptingInterface() {
+        const script = {
+            version: API_VERSION,
+            on: (name, listener) => {
+                if (!this.listeners.has(name)) {
+                    this.listeners.set(name, new Set());
+                }
+                this.listeners.get(name).add(listener);
+            },
+            off: (name, listener) => {
+                if (this.listeners.has(name)) {
+                    this.listeners.get(name).delete(listener);
+                }
+            }
+        };
+        for (const command of Object.keys(this.commands)) {
+            script[command] = (args) => this.run(command, args);
+        }
+        return Object.freeze(script);
+    }
+}
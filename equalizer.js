@@ -0,0 +1,423 @@
+/**
+ * WhoaNoise - Parametric equalizer
+ * Band settings and migration from the old 3-band EQ, the Web Audio
+ * filter chain, and the interactive response curve
+ */
+
+// Frequency range of the bands and filters (Hz)
+export const MIN_FREQUENCY = 20;
+export const MAX_FREQUENCY = 20000;
+
+// Band gain range (dB either way)
+export const MAX_GAIN = 12;
+
+// Band Q range (peak and notch bands only, shelves ignore Q)
+export const MIN_Q = 0.1;
+export const MAX_Q = 18;
+
+export const MAX_EQ_BANDS = 8;
+
+// Filter types a band can use, with their display names
+export const BAND_TYPES = {
+    peaking: 'Peak',
+    lowshelf: 'Low shelf',
+    highshelf: 'High shelf',
+    notch: 'Notch'
+};
+
+// Q of the high-pass and low-pass filters (Butterworth, 12 dB/octave)
+const PASS_Q = Math.SQRT1_2;
+
+// Time constant for parameter changes on a playing chain (seconds)
+const PARAM_SMOOTHING = 0.02;
+
+// Vertical range of the response curve (dB either way)
+const CURVE_RANGE = 15;
+
+// How close a pointer has to be to grab a curve handle (CSS pixels)
+const HANDLE_RADIUS = 16;
+
+function clamp(value, min, max, fallback) {
+    return typeof value === 'number' && isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+}
+
+/**
+ * Default EQ: the old low shelf / mid peak / high shelf layout, flat
+ */
+export function createDefaultEq() {
+    return {
+        bands: [
+            { type: 'lowshelf', frequency: 320, gain: 0, q: 0.7 },
+            { type: 'peaking', frequency: 1000, gain: 0, q: 0.5 },
+            { type: 'highshelf', frequency: 3200, gain: 0, q: 0.7 }
+        ],
+        highpass: { enabled: false, frequency: 30 },
+        lowpass: { enabled: false, frequency: 16000 }
+    };
+}
+
+/**
+ * Validate saved EQ settings and return a clean copy
+ * States saved before the parametric EQ only have low/mid/high gains,
+ * which map onto the default bands
+ */
+export function normalizeEq(saved) {
+    const eq = createDefaultEq();
+    if (!saved || typeof saved !== 'object') return eq;
+
+    if (!Array.isArray(saved.bands)) {
+        ['low', 'mid', 'high'].forEach((name, index) => {
+            eq.bands[index].gain = clamp(saved[name], -MAX_GAIN, MAX_GAIN, 0);
+        });
+        return eq;
+    }
+
+    eq.bands = saved.bands
+        .filter(band => band && Object.hasOwn(BAND_TYPES, band.type))
+        .slice(0, MAX_EQ_BANDS)
+        .map(band => ({
+            type: band.type,
+            frequency: clamp(band.frequency, MIN_FREQUENCY, MAX_FREQUENCY, 1000),
+            gain: clamp(band.gain, -MAX_GAIN, MAX_GAIN, 0),
+            q: clamp(band.q, MIN_Q, MAX_Q, 1)
+        }));
+
+    for (const name of ['highpass', 'lowpass']) {
+        const pass = saved[name];
+        if (pass && typeof pass === 'object') {
+            eq[name] = {
+                enabled: pass.enabled === true,
+                frequency: clamp(pass.frequency, MIN_FREQUENCY, MAX_FREQUENCY, eq[name].frequency)
+            };
+        }
+    }
+
+    return eq;
+}
+
+/**
+ * Format a frequency as Hz or kHz
+ */
+export function formatFrequency(frequency) {
+    if (frequency < 1000) return `${Math.round(frequency)} Hz`;
+    return `${+(frequency / 1000).toFixed(1)} kHz`;
+}
+
+/**
+ * Map 0-1 onto the frequency range on a log scale, and back
+ */
+export function positionToFrequency(position) {
+    return MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, position);
+}
+
+export function frequencyToPosition(frequency) {
+    return Math.log(frequency / MIN_FREQUENCY) / Math.log(MAX_FREQUENCY / MIN_FREQUENCY);
+}
+
+/**
+ * Biquad settings for every active filter, in signal order
+ */
+function filterSpecs(eq) {
+    const specs = [];
+    if (eq.highpass.enabled) {
+        specs.push({ type: 'highpass', frequency: eq.highpass.frequency, gain: 0, q: PASS_Q });
+    }
+    eq.bands.forEach(band => specs.push(band));
+    if (eq.lowpass.enabled) {
+        specs.push({ type: 'lowpass', frequency: eq.lowpass.frequency, gain: 0, q: PASS_Q });
+    }
+    return specs;
+}
+
+/**
+ * Chain of BiquadFilterNodes between a fixed input and output
+ * The filters are rebuilt when bands are added, removed or change type;
+ * other changes glide on the existing filters
+ */
+export class EqualizerChain {
+    constructor(context, eq, options = {}) {
+        this.context = context;
+        this.smoothing = typeof options.smoothing === 'number' ? options.smoothing : PARAM_SMOOTHING;
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.filters = [];
+        this.layout = null;
+        this.update(eq);
+    }
+
+    /**
+     * Apply EQ settings to the filters, optionally gliding there over a
+     * transition time (seconds) instead of the usual quick smoothing
+     * Returns true when the filters were rebuilt
+     */
+    update(eq, transition = 0) {
+        const specs = filterSpecs(eq);
+        const layout = specs.map(spec => spec.type).join();
+        if (layout !== this.layout) {
+            this.rebuild(specs);
+            this.layout = layout;
+            this.bandOffset = eq.highpass.enabled ? 1 : 0;
+            this.bandCount = eq.bands.length;
+            return true;
+        }
+
+        const now = this.context.currentTime;
+        // Within about 5% of the target by the end of the transition
+        const timeConstant = transition > 0 ? transition / 3 : this.smoothing;
+        specs.forEach((spec, index) => {
+            const filter = this.filters[index];
+            this.setParam(filter.frequency, spec.frequency, now, timeConstant);
+            this.setParam(filter.gain, spec.gain, now, timeConstant);
+            this.setParam(filter.Q, spec.q, now, timeConstant);
+        });
+        return false;
+    }
+
+    /**
+     * The filter of a band, or null if there is no such band
+     */
+    getBand(index) {
+        return index < this.bandCount ? this.filters[this.bandOffset + index] : null;
+    }
+
+    setParam(param, value, now, timeConstant) {
+        if (timeConstant > 0) {
+            param.setTargetAtTime(value, now, timeConstant);
+        } else {
+            param.value = value;
+        }
+    }
+
+    rebuild(specs) {
+        this.input.disconnect();
+        this.filters.forEach(filter => filter.disconnect());
+
+        this.filters = specs.map(spec => {
+            const filter = this.context.createBiquadFilter();
+            filter.type = spec.type;
+            filter.frequency.value = spec.frequency;
+            filter.gain.value = spec.gain;
+            filter.Q.value = spec.q;
+            return filter;
+        });
+
+        let node = this.input;
+        this.filters.forEach(filter => {
+            node = node.connect(filter);
+        });
+        node.connect(this.output);
+    }
+
+    /**
+     * Combined magnitude response in dB at the given frequencies
+     */
+    getResponse(frequencies) {
+        const response = new Float32Array(frequencies.length);
+        const magnitude = new Float32Array(frequencies.length);
+        const phase = new Float32Array(frequencies.length);
+
+        this.filters.forEach(filter => {
+            filter.getFrequencyResponse(frequencies, magnitude, phase);
+            for (let i = 0; i < frequencies.length; i++) {
+                response[i] += 20 * Math.log10(Math.max(magnitude[i], 1e-6));
+            }
+        });
+        return response;
+    }
+}
+
+/**
+ * Canvas view of the EQ response with a draggable point per band
+ * Dragging a band moves its frequency and gain; the high-pass and
+ * low-pass points only move in frequency
+ * Edits the EQ object in place, then calls onChange; onSelect receives
+ * the index of a band when one is grabbed
+ */
+export class EqualizerCurve {
+    constructor(canvas, { onChange, onSelect }) {
+        this.canvas = canvas;
+        this.context2d = canvas.getContext('2d');
+        this.onChange = onChange;
+        this.onSelect = onSelect;
+        this.eq = createDefaultEq();
+        this.selected = -1;
+        this.dragging = null;
+        this.frequencies = new Float32Array(0);
+
+        // The curve is computed on filters of its own, so it works
+        // before playback has created an audio context
+        this.preview = new EqualizerChain(new OfflineAudioContext(1, 128, 48000), this.eq, { smoothing: 0 });
+
+        const style = getComputedStyle(canvas);
+        this.colors = {
+            accent: style.getPropertyValue('--accent').trim() || '#6366f1',
+            highlight: style.getPropertyValue('--accent-hover').trim() || '#818cf8',
+            grid: style.getPropertyValue('--border').trim() || 'rgba(255, 255, 255, 0.08)',
+            text: style.getPropertyValue('--text-muted').trim() || '#555566'
+        };
+
+        canvas.addEventListener('pointerdown', event => this.handlePointerDown(event));
+        canvas.addEventListener('pointermove', event => this.handlePointerMove(event));
+        canvas.addEventListener('pointerup', event => this.handlePointerUp(event));
+        canvas.addEventListener('pointercancel', event => this.handlePointerUp(event));
+        window.addEventListener('resize', () => this.draw());
+    }
+
+    setEq(eq, selected) {
+        this.eq = eq;
+        this.selected = selected;
+        this.draw();
+    }
+
+    frequencyToX(frequency, width) {
+        return frequencyToPosition(frequency) * width;
+    }
+
+    gainToY(gain, height) {
+        return height / 2 - (gain / CURVE_RANGE) * (height / 2);
+    }
+
+    /**
+     * Draggable points: one per band, plus the enabled pass filters
+     */
+    getHandles() {
+        const handles = this.eq.bands.map((band, index) => ({
+            kind: 'band',
+            index,
+            frequency: band.frequency,
+            gain: band.type === 'notch' ? 0 : band.gain
+        }));
+        for (const kind of ['highpass', 'lowpass']) {
+            if (this.eq[kind].enabled) {
+                handles.push({ kind, frequency: this.eq[kind].frequency, gain: 0 });
+            }
+        }
+        return handles;
+    }
+
+    draw() {
+        const canvas = this.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (width === 0 || height === 0) return;
+
+        // Match the backing store to the displayed size
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        if (this.frequencies.length !== Math.ceil(width) + 1) {
+            this.frequencies = Float32Array.from({ length: Math.ceil(width) + 1 }, (_, x) => positionToFrequency(x / width));
+        }
+
+        const ctx = this.context2d;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        // Grid: decades and the 0 dB line
+        ctx.strokeStyle = this.colors.grid;
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '10px sans-serif';
+        ctx.lineWidth = 1;
+        [100, 1000, 10000].forEach(frequency => {
+            const x = Math.round(this.frequencyToX(frequency, width)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.fillText(formatFrequency(frequency), x + 3, height - 4);
+        });
+        [-12, 0, 12].forEach(gain => {
+            const y = Math.round(this.gainToY(gain, height)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+        });
+
+        // Response curve
+        this.preview.update(this.eq);
+        const response = this.preview.getResponse(this.frequencies);
+        ctx.strokeStyle = this.colors.accent;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        response.forEach((gain, x) => {
+            const y = this.gainToY(Math.max(gain, -CURVE_RANGE * 2), height);
+            if (x === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        // Handles
+        this.getHandles().forEach(handle => {
+            const isSelected = handle.kind === 'band' && handle.index === this.selected;
+            ctx.beginPath();
+            ctx.arc(this.frequencyToX(handle.frequency, width), this.gainToY(handle.gain, height),
+                isSelected ? 7 : 5, 0, Math.PI * 2);
+            ctx.fillStyle = isSelected ? this.colors.highlight : this.colors.accent;
+            ctx.fill();
+        });
+    }
+
+    handlePointerDown(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+
+        // Grab the nearest handle within reach
+        let nearest = null;
+        let nearestDistance = HANDLE_RADIUS;
+        this.getHandles().forEach(handle => {
+            const distance = Math.hypot(
+                this.frequencyToX(handle.frequency, rect.width) - x,
+                this.gainToY(handle.gain, rect.height) - y
+            );
+            if (distance < nearestDistance) {
+                nearest = handle;
+                nearestDistance = distance;
+            }
+        });
+        if (!nearest) return;
+
+        event.preventDefault();
+        this.dragging = nearest;
+        this.canvas.setPointerCapture(event.pointerId);
+        if (nearest.kind === 'band') {
+            this.onSelect(nearest.index);
+        }
+    }
+
+    handlePointerMove(event) {
+        if (!this.dragging) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const position = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+        const frequency = Math.round(positionToFrequency(position));
+
+        if (this.dragging.kind === 'band') {
+            const band = this.eq.bands[this.dragging.index];
+            if (!band) return;
+
+            band.frequency = frequency;
+            if (band.type !== 'notch') {
+                const gain = (rect.height / 2 - (event.clientY - rect.top)) / (rect.height / 2) * CURVE_RANGE;
+                band.gain = Math.round(Math.min(Math.max(gain, -MAX_GAIN), MAX_GAIN) * 2) / 2;
+            }
+        } else {
+            this.eq[this.dragging.kind].frequency = frequency;
+        }
+
+        this.onChange();
+    }
+
+    handlePointerUp(event) {
+        if (!this.dragging) return;
+
+        this.dragging = null;
+        this.canvas.releasePointerCapture(event.pointerId);
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * AudioWorklet Processor for slow modulation sources
+ * Outputs a control signal between -1 and 1 that is connected to
+ * AudioParams, either a sine LFO or a smooth bounded random walk
+ */
+
+// Period range in seconds (one LFO cycle, or the random walk's timescale)
+const MIN_PERIOD = 2;
+const MAX_PERIOD = 600;
+
+/**
+ * Standard normal random number (Box-Muller)
+ */
+function gaussian() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+class ModulationProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const processorOptions = (options && options.processorOptions) || {};
+    this.shape = processorOptions.shape === 'random' ? 'random' : 'sine';
+    this.setPeriod(processorOptions.period);
+
+    // Sine LFO phase in cycles
+    this.phase = 0;
+
+    // Random walk position, and the smoothed value that is output
+    this.walk = 0;
+    this.value = 0;
+
+    // Cleared when the main thread is done with this node
+    this.active = true;
+
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'setShape') {
+        this.shape = event.data.shape === 'random' ? 'random' : 'sine';
+      } else if (event.data.type === 'setPeriod') {
+        this.setPeriod(event.data.period);
+      } else if (event.data.type === 'dispose') {
+        this.active = false;
+      }
+    };
+  }
+
+  setPeriod(period) {
+    this.period = typeof period === 'number'
+      ? Math.min(Math.max(period, MIN_PERIOD), MAX_PERIOD)
+      : 10;
+  }
+
+  /**
+   * Advance the source by one block and return its new target value
+   */
+  nextValue(seconds) {
+    if (this.shape === 'sine') {
+      this.phase = (this.phase + seconds / this.period) % 1;
+      return Math.sin(2 * Math.PI * this.phase);
+    }
+
+    // Brownian motion scaled to wander about its full range once per
+    // period, reflected at the edges so it stays within -1 to 1
+    this.walk += gaussian() * Math.sqrt(seconds / this.period);
+    if (this.walk > 1) this.walk = 2 - this.walk;
+    if (this.walk < -1) this.walk = -2 - this.walk;
+    return this.walk;
+  }
+
+  process(inputs, outputs) {
+    const output = outputs[0];
+    const blockLength = output.length > 0 ? output[0].length : 0;
+    const seconds = blockLength / sampleRate;
+    const target = this.nextValue(seconds);
+
+    // The walk is smoothed over a tenth of its period to take off the
+    // jitter; the sine only lightly, so switching shapes doesn't step
+    const start = this.value;
+    const smoothing = this.shape === 'random' ? this.period / 10 : 0.05;
+    this.value += (target - this.value) * (1 - Math.exp(-seconds / smoothing));
+
+    // Ramp across the block so the AudioParam never steps
+    for (let channel = 0; channel < output.length; channel++) {
+      const data = output[channel];
+      for (let i = 0; i < blockLength; i++) {
+        data[i] = start + (this.value - start) * (i / blockLength);
+      }
+    }
+
+    // Keep the processor alive until the main thread disposes of it
+    return this.active;
+  }
+}
+
+registerProcessor('modulation-processor', ModulationProcessor);
@@ -0,0 +1,152 @@
+/**
+ * WhoaNoise - Slow modulation
+ * Modulator settings, and the modulation-processor nodes that drive
+ * volume, EQ band and stereo width AudioParams
+ */
+
+export const MAX_MODULATORS = 4;
+
+// Modulation period range in seconds (matches modulation-processor.js)
+export const MIN_PERIOD = 2;
+export const MAX_PERIOD = 600;
+
+// Source shapes, with their display names
+export const MODULATION_SHAPES = {
+    sine: 'Sine LFO',
+    random: 'Random walk'
+};
+
+// How far each target moves either way at 100% depth
+// Volume is a linear gain swing below unity, frequency is in cents
+export const MODULATION_RANGES = {
+    volume: 0.25,
+    width: 0.5,
+    gain: 6,
+    frequency: 1200
+};
+
+// Most the volume modulators can swing together, so the volume param
+// sitting this far below unity never swings below zero
+const MAX_VOLUME_DEPTH = 0.5;
+
+/**
+ * Default settings for a new modulator: a gentle volume swell
+ */
+export function createModulator() {
+    return { shape: 'sine', target: 'volume', band: 0, depth: 30, period: 20 };
+}
+
+/**
+ * Validate a saved modulator and return a clean copy, or null
+ */
+export function normalizeModulator(saved) {
+    if (!saved || typeof saved !== 'object' || !Object.hasOwn(MODULATION_RANGES, saved.target)) return null;
+
+    const clamp = (value, min, max, fallback) =>
+        typeof value === 'number' && isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+
+    return {
+        shape: Object.hasOwn(MODULATION_SHAPES, saved.shape) ? saved.shape : 'sine',
+        target: saved.target,
+        band: Math.round(clamp(saved.band, 0, 63, 0)),
+        depth: clamp(saved.depth, 0, 100, 30),
+        period: clamp(saved.period, MIN_PERIOD, MAX_PERIOD, 20)
+    };
+}
+
+/**
+ * Format a modulation period as seconds or minutes
+ */
+export function formatPeriod(seconds) {
+    if (seconds < 60) return `${Math.round(seconds)} s`;
+    return `${+(seconds / 60).toFixed(1)} min`;
+}
+
+/**
+ * Modulation sources on one audio context, keyed by modulator id
+ * Each source feeds a depth gain that is connected to its target
+ */
+export class ModulationBank {
+    constructor(context) {
+        this.context = context;
+        this.nodes = new Map();
+    }
+
+    /**
+     * Create, update and release nodes to match the modulators
+     */
+    update(modulators) {
+        const ids = new Set(modulators.map(modulator => modulator.id));
+        this.nodes.forEach((nodes, id) => {
+            if (!ids.has(id)) {
+                nodes.depth.disconnect();
+                nodes.source.port.postMessage({ type: 'dispose' });
+                nodes.source.disconnect();
+                this.nodes.delete(id);
+            }
+        });
+
+        modulators.forEach(modulator => {
+            let nodes = this.nodes.get(modulator.id);
+            if (!nodes) {
+                const source = new AudioWorkletNode(this.context, 'modulation-processor', {
+                    numberOfInputs: 0,
+                    outputChannelCount: [1],
+                    processorOptions: { shape: modulator.shape, period: modulator.period }
+                });
+                const depth = this.context.createGain();
+                depth.gain.value = 0;
+                source.connect(depth);
+                nodes = { source, depth, shape: modulator.shape, period: modulator.period };
+                this.nodes.set(modulator.id, nodes);
+            }
+
+            if (nodes.shape !== modulator.shape) {
+                nodes.shape = modulator.shape;
+                nodes.source.port.postMessage({ type: 'setShape', shape: modulator.shape });
+            }
+            if (nodes.period !== modulator.period) {
+                nodes.period = modulator.period;
+                nodes.source.port.postMessage({ type: 'setPeriod', period: modulator.period });
+            }
+        });
+    }
+
+    /**
+     * Route every modulator to its target
+     * targets: { volume: AudioParam, width: [AudioParam], band(index) }
+     * where band returns the index's { gain, detune } params or null
+     * The volume param is owned by the bank: it sits below unity by the
+     * total volume depth, so volume modulation only ever dips; several
+     * deep volume modulators are scaled down together to stay above zero
+     */
+    connect(modulators, targets) {
+        const getAmount = modulator => (modulator.depth / 100) * MODULATION_RANGES[modulator.target];
+        const volumeDepth = modulators
+            .filter(modulator => modulator.target === 'volume' && this.nodes.has(modulator.id))
+            .reduce((total, modulator) => total + getAmount(modulator), 0);
+        const volumeScale = volumeDepth > MAX_VOLUME_DEPTH ? MAX_VOLUME_DEPTH / volumeDepth : 1;
+
+        modulators.forEach(modulator => {
+            const nodes = this.nodes.get(modulator.id);
+            if (!nodes) return;
+
+            nodes.depth.disconnect();
+            const amount = getAmount(modulator) * (modulator.target === 'volume' ? volumeScale : 1);
+            nodes.depth.gain.setTargetAtTime(amount, this.context.currentTime, 0.05);
+
+            if (modulator.target === 'volume') {
+                nodes.depth.connect(targets.volume);
+            } else if (modulator.target === 'width') {
+                targets.width.forEach(param => nodes.depth.connect(param));
+            } else {
+                const band = targets.band(modulator.band);
+                if (band) {
+                    nodes.depth.connect(modulator.target === 'gain' ? band.gain : band.detune);
+                }
+            }
+        });
+
+        targets.volume.setTargetAtTime(1 - Math.min(volumeDepth, MAX_VOLUME_DEPTH), this.context.currentTime, 0.05);
+    }
+}
@@ -1,168 +1,288 @@
 /**
  * AudioWorklet Processor for procedural noise generation
  * Generates endless, non-repeating noise using mathematical algorithms
+ * The generators themselves live in dsp-core.js; this mixes them with
+ * level matching, crossfades and stereo width
  */
 
+import { SOUND_PARAMS, SlopeFilter, NoiseChannel } from './dsp-core.js';
+
+// Slowly swelling sounds would have their swells flattened by the
+// normal level tracking, so they start from their long-term level with
+// default parameters and follow parameter changes much more slowly
+// Levels are measured at 48 kHz; these sounds are band-limited, so at
+// other rates their power scales with 48 kHz / sampleRate
+const SLOW_LEVELS = {
+  surf: { meanSquare: 5.1e-3, timeConstant: 60 },
+  wind: { meanSquare: 1.5e-3, timeConstant: 60 }
+};
+
 class NoiseProcessor extends AudioWorkletProcessor {
-  constructor() {
+  /**
+   * widthModulation is added to the stereo width, so a modulation
+   * source can be connected straight to it
+   */
+  static get parameterDescriptors() {
+    return [{ name: 'widthModulation', defaultValue: 0, minValue: -1, maxValue: 1, automationRate: 'k-rate' }];
+  }
+
+  constructor(options) {
     super();
 
-    // Current noise type
-    this.noiseType = 'white';
+    // Current noise type (the main thread can pass the initial one so
+    // playback doesn't start with a fade from white)
+    const processorOptions = (options && options.processorOptions) || {};
+    this.noiseType = processorOptions.noiseType || 'white';
 
-    // Double buffering state
-    // 30 seconds @ 48kHz per buffer for battery efficiency
-    this.bufferSize = 48000 * 30;
-    this.bufferA = new Float32Array(this.bufferSize);
-    this.bufferB = new Float32Array(this.bufferSize);
+    // Number of output channels, each with its own generator
+    this.channelCount = (options && options.outputChannelCount && options.outputChannelCount[0]) || 2;
 
-    this.index = 0;
-    this.activeBuffer = this.bufferA;
-    this.inactiveBuffer = this.bufferB;
-    this.fillPointer = 0;
+    // Continuous color slope in dB/octave, glides towards the target
+    this.slopeFilter = new SlopeFilter(sampleRate);
+    this.slope = typeof processorOptions.slope === 'number' ? processorOptions.slope : 0;
+    this.targetSlope = this.slope;
+    this.slopeFilter.design(this.slope);
 
-    // Initial fill for both buffers
-    this.bufferFill(this.bufferA, 0, this.bufferSize);
-    this.bufferFill(this.bufferB, 0, this.bufferSize);
+    // Stereo width: 0 = mono, 1 = fully decorrelated channels
+    // Smoothed towards the target once per block
+    const width = typeof processorOptions.stereoWidth === 'number' ? processorOptions.stereoWidth : 1;
+    this.width = Math.min(Math.max(width, 0), 1);
+    this.targetWidth = this.width;
+    this.widthModulation = 0;
 
-    // Pink noise state (Voss-McCartney algorithm)
-    this.pinkRows = new Float32Array(16);
-    this.pinkRunningSum = 0;
-    this.pinkIndex = 0;
-    this.pinkIndexMask = (1 << 16) - 1;
+    // Loudness normalization settings
+    // Each noise type's running mean square is measured so every color
+    // plays at the same RMS level regardless of its spectral shape
+    this.targetRms = 0.35;
+    this.maxNormGain = 8;
+    // ~3 second averaging window, applied once per block
+    this.rmsTimeConstant = 3;
 
-    // Brown noise state
-    this.brownLast = 0;
+    // Crossfade time between noise types
+    this.crossfadeTime = 0.5;
 
-    // Blue/Violet noise state
-    this.blueLast = 0;
+    // Cleared when the main thread is done with this node
+    this.active = true;
 
-    // Frame counter for throttled refills
-    this.frameCount = 0;
-    this.violetLast = [0, 0];
+    // Soundscape parameters, starting from the defaults
+    this.soundParams = {};
+    for (const sound of Object.keys(SOUND_PARAMS)) {
+      this.soundParams[sound] = {};
+      for (const name of Object.keys(SOUND_PARAMS[sound])) {
+        this.soundParams[sound][name] = SOUND_PARAMS[sound][name].value;
+      }
+    }
+    const initialParams = processorOptions.soundParams || {};
+    for (const sound of Object.keys(initialParams)) {
+      this.setSoundParams(sound, initialParams[sound]);
+    }
+
+    // Seed for the random sources; random unless the main thread picks one
+    const seed = typeof processorOptions.seed === 'number'
+      ? processorOptions.seed
+      : Math.floor(Math.random() * 4294967296);
+    this.setSeed(seed);
 
     // Handle messages from main thread
     this.port.onmessage = (event) => {
       if (event.data.type === 'setNoiseType') {
-        this.noiseType = event.data.noiseType;
+        this.setNoiseType(event.data.noiseType);
+      } else if (event.data.type === 'setCrossfadeTime') {
+        this.crossfadeTime = Math.max(0, event.data.seconds);
+      } else if (event.data.type === 'setSlope') {
+        this.targetSlope = Math.min(Math.max(event.data.slope, -9), 6);
+      } else if (event.data.type === 'setStereoWidth') {
+        this.targetWidth = Math.min(Math.max(event.data.width, 0), 1);
+      } else if (event.data.type === 'setSoundParams') {
+        this.setSoundParams(event.data.sound, event.data.params);
+      } else if (event.data.type === 'setSeed') {
+        this.setSeed(event.data.seed);
+      } else if (event.data.type === 'dispose') {
+        this.active = false;
       }
     };
   }
 
   /**
-   * Refill a range of the buffer
+   * Update some of a soundscape's parameters, clamped to their ranges
+   * Unknown sounds and parameters are ignored
    */
-  bufferFill(buffer, start, count) {
-    for (let i = 0; i < count && start + i < buffer.length; i++) {
-      buffer[start + i] = Math.random() * 2 - 1;
+  setSoundParams(sound, params) {
+    const ranges = SOUND_PARAMS[sound];
+    if (!ranges || !params) return;
+
+    for (const name of Object.keys(params)) {
+      const range = ranges[name];
+      if (range && typeof params[name] === 'number') {
+        this.soundParams[sound][name] = Math.min(Math.max(params[name], range.min), range.max);
+      }
     }
   }
 
   /**
-   * Get white noise sample from the active buffer
-   * Switches buffers and regenerates when exhausted
+   * Restart all generators from a seed
+   * Every channel gets its own stream derived from the seed and all
+   * filter and level state is reset, so the output from here on is
+   * bit-identical for a given seed, noise type and settings
    */
-  white() {
-    const sample = this.activeBuffer[this.index++];
-
-    // If buffer is exhausted, swap to the other one
-    if (this.index >= this.activeBuffer.length) {
-      // Swap active buffer
-      const temp = this.activeBuffer;
-      this.activeBuffer = this.inactiveBuffer;
-      this.inactiveBuffer = temp;
+  setSeed(seed) {
+    this.seed = seed >>> 0;
 
-      this.index = 0;
-      this.fillPointer = 0;
+    // One independent generator per output channel
+    this.channels = [];
+    for (let channel = 0; channel < this.channelCount; channel++) {
+      const channelSeed = (this.seed + Math.imul(channel, 0x9e3779b9)) >>> 0;
+      this.channels.push(new NoiseChannel(sampleRate, this.slopeFilter, this.soundParams, channelSeed));
     }
 
-    return sample;
+    // Loudness normalization state
+    this.meanSquare = {};
+    this.normGains = {};
+
+    // Crossfade state
+    // Every type that is still audible keeps a linear mix weight; the
+    // current type fades towards 1 and all others towards 0
+    this.mixWeights = new Map();
+    this.addToMix(this.noiseType, 1);
+
+    // Let the main thread know which seed is playing
+    this.port.postMessage({ type: 'seed', seed: this.seed });
   }
 
   /**
-   * Generate pink noise using Voss-McCartney algorithm
-   * Pink noise has equal energy per octave (1/f spectrum)
+   * Switch to a new noise type, fading out whatever is playing
    */
-  pink() {
-    const white = this.white();
-
-    // Voss-McCartney algorithm
-    this.pinkIndex = (this.pinkIndex + 1) & this.pinkIndexMask;
-
-    // Calculate how many rows need to change
-    let numZeros = 0;
-    let n = this.pinkIndex;
-    while ((n & 1) === 0 && numZeros < 16) {
-      numZeros++;
-      n >>= 1;
+  setNoiseType(noiseType) {
+    this.noiseType = noiseType;
+    if (!this.mixWeights.has(noiseType)) {
+      this.addToMix(noiseType, 0);
     }
+  }
 
-    // Update the running sum with changed rows
-    if (numZeros < 16) {
-      this.pinkRunningSum -= this.pinkRows[numZeros];
-      const newValue = white;
-      this.pinkRunningSum += newValue;
-      this.pinkRows[numZeros] = newValue;
+  /**
+   * Start running a noise type's generator at the given mix weight
+   * Runs a short warm-up the first time a type is used so its filter
+   * state and normalization gain are settled from the first block
+   */
+  addToMix(noiseType, weight) {
+    if (this.meanSquare[noiseType] === undefined && SLOW_LEVELS[noiseType]) {
+      this.meanSquare[noiseType] = SLOW_LEVELS[noiseType].meanSquare * 48000 / sampleRate;
+    } else if (this.meanSquare[noiseType] === undefined) {
+      const count = Math.round(sampleRate * 0.1);
+      let sumSquares = 0;
+      for (const channel of this.channels) {
+        for (let i = 0; i < count; i++) {
+          const sample = channel.getSample(noiseType);
+          sumSquares += sample * sample;
+        }
+      }
+      this.meanSquare[noiseType] = sumSquares / (count * this.channels.length);
     }
 
-    // Add white noise for high frequencies and normalize
-    return (this.pinkRunningSum + white) / 17;
+    this.normGains[noiseType] = this.targetGain(noiseType);
+    this.mixWeights.set(noiseType, weight);
   }
 
   /**
-   * Generate brown (Brownian/red) noise
-   * Brown noise is integrated white noise, emphasizing low frequencies
+   * Normalization gain for a noise type's measured level
    */
-  brown() {
-    const white = this.white();
-    // Leaky integration to prevent DC drift
-    this.brownLast = (this.brownLast + (0.02 * white)) / 1.02;
-    // Normalize output
-    return this.brownLast * 3.5;
+  targetGain(noiseType) {
+    const rms = Math.sqrt(this.meanSquare[noiseType]);
+    return Math.min(this.targetRms / Math.max(rms, 1e-6), this.maxNormGain);
   }
 
   /**
-   * Generate blue noise
-   * Blue noise has increasing power with frequency (+3dB/octave)
+   * Render one noise type into the output and add it to the mix
+   * The mix weight and normalization gain are ramped across the block
+   * to avoid clicks and zipper noise
    */
-  blue() {
-    const white = this.white();
-    // Simple differentiation (high-pass)
-    const blue = white - this.blueLast;
-    this.blueLast = white;
-    return blue * 0.7;
+  renderLayer(output, noiseType, blockLength) {
+    const weight = this.mixWeights.get(noiseType);
+    const target = noiseType === this.noiseType ? 1 : 0;
+    const fadeSamples = this.crossfadeTime * sampleRate;
+    const maxStep = fadeSamples > 0 ? blockLength / fadeSamples : 1;
+    const endWeight = weight + Math.max(-maxStep, Math.min(maxStep, target - weight));
+
+    const startGain = this.normGains[noiseType];
+    const endGain = this.targetGain(noiseType);
+    let sumSquares = 0;
+    let sampleCount = 0;
+
+    for (let channel = 0; channel < output.length; channel++) {
+      const outputChannel = output[channel];
+      const generator = this.channels[Math.min(channel, this.channels.length - 1)];
+      for (let i = 0; i < outputChannel.length; i++) {
+        const sample = generator.getSample(noiseType);
+        sumSquares += sample * sample;
+
+        // Equal-power curve keeps the loudness steady through the fade
+        const t = i / blockLength;
+        const mix = Math.sin((weight + (endWeight - weight) * t) * Math.PI / 2);
+        outputChannel[i] += sample * (startGain + (endGain - startGain) * t) * mix;
+      }
+      sampleCount += outputChannel.length;
+    }
+
+    // Update the running level estimate with this block
+    if (sampleCount > 0) {
+      const slowLevel = SLOW_LEVELS[noiseType];
+      const timeConstant = slowLevel ? slowLevel.timeConstant : this.rmsTimeConstant;
+      const coeff = 1 - Math.exp(-blockLength / (sampleRate * timeConstant));
+      const meanSquare = this.meanSquare[noiseType];
+      this.meanSquare[noiseType] = meanSquare + coeff * (sumSquares / sampleCount - meanSquare);
+    }
+
+    this.normGains[noiseType] = endGain;
+
+    // Stop running generators once they have fully faded out
+    if (endWeight <= 0 && target === 0) {
+      this.mixWeights.delete(noiseType);
+    } else {
+      this.mixWeights.set(noiseType, endWeight);
+    }
   }
 
   /**
-   * Generate violet noise
-   * Violet noise has even stronger high frequency emphasis (+6dB/octave)
+   * Glide the color slope towards its target over the crossfade time
+   * Coefficients are redesigned once per block while moving
    */
-  violet() {
-    const white = this.white();
-    // Second-order differentiation
-    const diff1 = white - this.violetLast[0];
-    const diff2 = diff1 - this.violetLast[1];
-    this.violetLast[0] = white;
-    this.violetLast[1] = diff1;
-    return diff2 * 0.5;
+  updateSlope(blockLength) {
+    if (this.slope === this.targetSlope) return;
+
+    const fadeSamples = this.crossfadeTime * sampleRate;
+    // Full -9 to +6 dB/octave sweep takes one crossfade
+    const maxStep = fadeSamples > 0 ? 15 * blockLength / fadeSamples : 15;
+    const difference = this.targetSlope - this.slope;
+    this.slope += Math.max(-maxStep, Math.min(maxStep, difference));
+
+    this.slopeFilter.design(this.slope);
   }
 
   /**
-   * Get a noise sample based on current type
+   * Narrow the stereo image with mid/side mixing
+   * The channels are uncorrelated, so the mid signal is boosted as the
+   * width shrinks to keep the level constant
    */
-  getSample() {
-    switch (this.noiseType) {
-      case 'pink':
-        return this.pink();
-      case 'brown':
-        return this.brown();
-      case 'blue':
-        return this.blue();
-      case 'violet':
-        return this.violet();
-      case 'white':
-      default:
-        return this.white();
+  applyWidth(output, blockLength, modulation) {
+    // ~50ms smoothing so width changes don't click
+    const coeff = 1 - Math.exp(-blockLength / (sampleRate * 0.05));
+    const clampWidth = width => Math.min(Math.max(width, 0), 1);
+    const startWidth = clampWidth(this.width + this.widthModulation);
+    this.width += coeff * (this.targetWidth - this.width);
+    this.widthModulation = modulation;
+    const endWidth = clampWidth(this.width + modulation);
+
+    if (output.length !== 2 || (startWidth === 1 && endWidth === 1)) return;
+
+    const left = output[0];
+    const right = output[1];
+    for (let i = 0; i < blockLength; i++) {
+      const width = startWidth + (endWidth - startWidth) * (i / blockLength);
+      const compensation = Math.sqrt(2 / (1 + width * width));
+      const mid = (left[i] + right[i]) * 0.5;
+      const side = (left[i] - right[i]) * 0.5 * width;
+      left[i] = (mid + side) * compensation;
+      right[i] = (mid - side) * compensation;
     }
   }
 
@@ -171,29 +291,156 @@ class NoiseProcessor extends AudioWorkletProcessor {
    */
   process(inputs, outputs, parameters) {
     const output = outputs[0];
+    const blockLength = output.length > 0 ? output[0].length : 0;
 
-    // Fill all output channels with the same noise
     for (let channel = 0; channel < output.length; channel++) {
-      const outputChannel = output[channel];
-      for (let i = 0; i < outputChannel.length; i++) {
-        // Generate unique sample per channel position for stereo width
-        // but same base algorithm
-        outputChannel[i] = this.getSample();
+      output[channel].fill(0);
+    }
+
+    this.updateSlope(blockLength);
+
+    // Mix every audible noise type, crossfading towards the current one
+    for (const noiseType of this.mixWeights.keys()) {
+      this.renderLayer(output, noiseType, blockLength);
+    }
+
+    this.applyWidth(output, blockLength, parameters.widthModulation ? parameters.widthModulation[0] : 0);
+
+    // Keep the processor alive until the main thread disposes of it
+    return this.active;
+  }
+}
+
+/**
+ * Entrainment tones mixed over the noise
+ * Binaural mode plays a carrier in each ear, the beat frequency apart;
+ * isochronic mode pulses one carrier on and off at the beat frequency
+ */
+class ToneProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    // Level and frequencies glide towards their targets so changes and
+    // switching on and off never click
+    this.level = 0;
+    this.carrier = 200;
+    this.beat = 10;
+    this.setTone((options && options.processorOptions) || {});
+    this.carrier = this.targetCarrier;
+    this.beat = this.targetBeat;
+
+    // Oscillator phases in cycles (left, right, and the pulse)
+    this.phases = [0, 0];
+    this.pulsePhase = 0;
+
+    // ~2 second fades for the level, ~0.5 seconds for frequency changes
+    this.levelCoeff = 1 - Math.exp(-1 / (sampleRate * 2 / 3));
+    this.frequencyCoeff = 1 - Math.exp(-1 / (sampleRate * 0.5 / 3));
+
+    // Cleared when the main thread is done with this node
+    this.active = true;
+
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'setTone') {
+        this.setTone(event.data);
+      } else if (event.data.type === 'dispose') {
+        this.active = false;
       }
+    };
+  }
+
+  /**
+   * Update any of mode, carrier (Hz), beat (Hz), level (dB) and enabled
+   */
+  setTone(settings) {
+    if (settings.mode === 'binaural' || settings.mode === 'isochronic') {
+      this.mode = settings.mode;
+    } else if (!this.mode) {
+      this.mode = 'binaural';
+    }
+    if (typeof settings.carrier === 'number') {
+      this.targetCarrier = Math.min(Math.max(settings.carrier, 20), 2000);
+    } else if (this.targetCarrier === undefined) {
+      this.targetCarrier = 200;
+    }
+    if (typeof settings.beat === 'number') {
+      this.targetBeat = Math.min(Math.max(settings.beat, 0.1), 100);
+    } else if (this.targetBeat === undefined) {
+      this.targetBeat = 10;
+    }
+    if (typeof settings.level === 'number') {
+      // Level is in dB relative to the noise bed, which plays at 0.35 RMS
+      // (see targetRms above); a sine's peak is sqrt(2) times its RMS
+      const level = Math.min(Math.max(settings.level, -60), 0);
+      this.toneLevel = 0.35 * Math.SQRT2 * Math.pow(10, level / 20);
+    } else if (this.toneLevel === undefined) {
+      this.toneLevel = 0.05;
+    }
+    if (typeof settings.enabled === 'boolean') {
+      this.enabled = settings.enabled;
+    } else if (this.enabled === undefined) {
+      this.enabled = false;
+    }
+  }
+
+  /**
+   * Isochronic pulse shape: on for half of each cycle, with raised
+   * cosine edges over a tenth of the cycle
+   */
+  pulse(phase) {
+    if (phase < 0.1) return 0.5 - 0.5 * Math.cos(Math.PI * phase / 0.1);
+    if (phase < 0.4) return 1;
+    if (phase < 0.5) return 0.5 + 0.5 * Math.cos(Math.PI * (phase - 0.4) / 0.1);
+    return 0;
+  }
+
+  process(inputs, outputs) {
+    const output = outputs[0];
+    const blockLength = output.length > 0 ? output[0].length : 0;
+    const targetLevel = this.enabled ? this.toneLevel : 0;
+
+    // Nothing to do while fully faded out
+    if (targetLevel === 0 && this.level < 1e-5) {
+      this.level = 0;
+      for (let channel = 0; channel < output.length; channel++) {
+        output[channel].fill(0);
+      }
+      return this.active;
     }
 
-    // Incrementally refill inactive buffer with reduced frequency
-    // Refill ~100ms of audio (4800 samples) every 10th frame to reduce CPU wakeups
-    this.frameCount++;
-    if (this.frameCount % 10 === 0 && this.fillPointer < this.bufferSize) {
-      const refillAmount = 4800;
-      this.bufferFill(this.inactiveBuffer, this.fillPointer, refillAmount);
-      this.fillPointer += refillAmount;
+    const left = output[0];
+    const right = output.length > 1 ? output[1] : null;
+    const binaural = this.mode === 'binaural';
+
+    for (let i = 0; i < blockLength; i++) {
+      this.level += this.levelCoeff * (targetLevel - this.level);
+      this.carrier += this.frequencyCoeff * (this.targetCarrier - this.carrier);
+      this.beat += this.frequencyCoeff * (this.targetBeat - this.beat);
+
+      let leftSample;
+      let rightSample;
+      if (binaural) {
+        this.phases[0] = (this.phases[0] + (this.carrier - this.beat / 2) / sampleRate) % 1;
+        this.phases[1] = (this.phases[1] + (this.carrier + this.beat / 2) / sampleRate) % 1;
+        leftSample = Math.sin(2 * Math.PI * this.phases[0]);
+        rightSample = Math.sin(2 * Math.PI * this.phases[1]);
+      } else {
+        this.phases[0] = (this.phases[0] + this.carrier / sampleRate) % 1;
+        this.pulsePhase = (this.pulsePhase + this.beat / sampleRate) % 1;
+        leftSample = Math.sin(2 * Math.PI * this.phases[0]) * this.pulse(this.pulsePhase);
+        rightSample = leftSample;
+      }
+
+      left[i] = leftSample * this.level;
+      if (right) {
+        right[i] = rightSample * this.level;
+      }
     }
 
-    // Return true to keep processor alive
-    return true;
+    // Keep the processor alive until the main thread disposes of it
+    return this.active;
   }
 }
 
 registerProcessor('noise-processor', NoiseProcessor);
+registerProcessor('tone-processor', ToneProcessor);
@@ -0,0 +1,123 @@
+/**
+ * WhoaNoise - Preset file and link encoding
+ * Versioned JSON format for exporting/importing presets, and compact
+ * URL hash encoding for sharing a single preset as a link
+ */
+
+export const PRESET_FILE_FORMAT = 'whoanoise-presets';
+export const PRESET_FILE_VERSION = 1;
+
+// Longest allowed preset name
+export const MAX_PRESET_NAME_LENGTH = 60;
+
+// URL hash parameter that carries a shared preset
+const HASH_PARAM = 'preset';
+
+/**
+ * Build the export file contents for a list of presets
+ */
+export function createPresetFile(presets) {
+    const file = {
+        format: PRESET_FILE_FORMAT,
+        version: PRESET_FILE_VERSION,
+        exported: new Date().toISOString(),
+        presets: presets.map(({ name, state }) => ({ name, state }))
+    };
+    return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Parse and validate an imported preset file
+ * normalizeState cleans a preset's settings down to known, valid values
+ * Throws an Error with a user-facing message when the file is invalid
+ */
+export function parsePresetFile(text, normalizeState) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('File is not valid JSON');
+    }
+
+    if (!data || typeof data !== 'object' || data.format !== PRESET_FILE_FORMAT) {
+        throw new Error('Not a WhoaNoise preset file');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('Preset file has no valid version');
+    }
+    if (data.version > PRESET_FILE_VERSION) {
+        throw new Error(`Preset file version ${data.version} is newer than this app supports`);
+    }
+    if (!Array.isArray(data.presets)) {
+        throw new Error('Preset file has no preset list');
+    }
+
+    return data.presets.map((preset, index) => validatePreset(preset, index, normalizeState));
+}
+
+/**
+ * Check a single preset entry and return a clean copy
+ * A preset without a single valid setting is rejected
+ */
+function validatePreset(preset, index, normalizeState) {
+    const where = `Preset ${index + 1}`;
+    if (!preset || typeof preset !== 'object') {
+        throw new Error(`${where} is not an object`);
+    }
+    if (typeof preset.name !== 'string' || !preset.name.trim()) {
+        throw new Error(`${where} has no name`);
+    }
+    if (!preset.state || typeof preset.state !== 'object' || Array.isArray(preset.state)) {
+        throw new Error(`${where} has no settings`);
+    }
+
+    const state = normalizeState(preset.state);
+    if (Object.keys(state).length === 0) {
+        throw new Error(`${where} has no valid settings`);
+    }
+
+    return {
+        name: preset.name.trim().slice(0, MAX_PRESET_NAME_LENGTH),
+        state
+    };
+}
+
+/**
+ * Encode a preset into a URL hash fragment (without the leading #)
+ */
+export function encodePresetHash(preset) {
+    const json = JSON.stringify({ v: PRESET_FILE_VERSION, name: preset.name, state: preset.state });
+    const bytes = new TextEncoder().encode(json);
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+
+    // base64url so the link survives being pasted anywhere
+    const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `${HASH_PARAM}=${encoded}`;
+}
+
+/**
+ * Decode a shared preset from a URL hash, its settings cleaned by
+ * normalizeState as for a preset file
+ * Returns null when the hash doesn't carry a valid preset
+ */
+export function decodePresetHash(hash, normalizeState) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(HASH_PARAM);
+    if (!encoded) return null;
+
+    try {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        const data = JSON.parse(new TextDecoder().decode(bytes));
+
+        if (!Number.isInteger(data.v) || data.v > PRESET_FILE_VERSION) return null;
+        return validatePreset({ name: data.name || 'Shared preset', state: data.state }, 0, normalizeState);
+    } catch (e) {
+        console.warn(`Failed to decode shared preset: ${e}`);
+        return null;
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * WhoaNoise - Hearing safety
+ * The output limiter, A-weighted level measurement, and a WHO-style
+ * daily listening dose (80 dB(A) for 40 hours a week, 3 dB exchange rate)
+ */
+
+// Limiter ceiling (dBFS); the compressor holds peaks close to it
+const LIMITER_THRESHOLD = -1;
+const LIMITER_RATIO = 20;
+
+// Gain reduction that counts as the limiter working (dB)
+const LIMITING_DB = 0.5;
+
+// Daily allowance: 80 dB(A) for a seventh of 40 hours
+const REFERENCE_LEVEL = 80;
+const REFERENCE_HOURS = 40 / 7;
+const EXCHANGE_RATE = 3;
+
+// Output level at digital full scale (dB SPL), the default calibration:
+// the EN 50332 limit for portable players at full volume
+export const DEFAULT_FULL_SCALE_SPL = 100;
+export const MIN_FULL_SCALE_SPL = 70;
+export const MAX_FULL_SCALE_SPL = 120;
+
+// Size of the exposure analyser (samples per measurement)
+const MEASURE_FFT_SIZE = 2048;
+
+/**
+ * A-weighting in dB at a frequency (IEC 61672)
+ */
+export function aWeighting(frequency) {
+    const f2 = frequency * frequency;
+    const ra = (148693636 * f2 * f2) /
+        ((f2 + 424.36) * Math.sqrt((f2 + 11599.29) * (f2 + 544496.41)) * (f2 + 148693636));
+    return 20 * Math.log10(Math.max(ra, 1e-12)) + 2.0;
+}
+
+/**
+ * Fraction of the daily allowance used by a number of seconds at a
+ * level in dB(A) SPL
+ */
+export function exposureDose(level, seconds) {
+    const allowedHours = REFERENCE_HOURS * Math.pow(2, (REFERENCE_LEVEL - level) / EXCHANGE_RATE);
+    return seconds / 3600 / allowedHours;
+}
+
+/**
+ * Limiter at the end of the chain, so EQ boosts and loud layers never
+ * clip at the output
+ * DynamicsCompressorNode adds makeup gain of its own, which the trim
+ * after it takes back off so quiet sounds keep their level
+ */
+export class Limiter {
+    constructor(context) {
+        this.compressor = context.createDynamicsCompressor();
+        this.compressor.threshold.value = LIMITER_THRESHOLD;
+        this.compressor.knee.value = 0;
+        this.compressor.ratio.value = LIMITER_RATIO;
+        this.compressor.attack.value = 0.001;
+        this.compressor.release.value = 0.1;
+
+        // Makeup gain is 0.6 times the gain lost at full scale
+        const fullScaleLoss = -LIMITER_THRESHOLD * (1 - 1 / LIMITER_RATIO);
+        this.output = context.createGain();
+        this.output.gain.value = Math.pow(10, -0.6 * fullScaleLoss / 20);
+        this.compressor.connect(this.output);
+
+        this.input = this.compressor;
+    }
+
+    /**
+     * True while the limiter is turning the sound down
+     */
+    get active() {
+        return this.compressor.reduction < -LIMITING_DB;
+    }
+}
+
+/**
+ * A-weighted output level in dBFS, from an analyser on the output
+ */
+export class LevelMeter {
+    constructor(context) {
+        this.analyser = context.createAnalyser();
+        this.analyser.fftSize = MEASURE_FFT_SIZE;
+        this.analyser.smoothingTimeConstant = 0;
+        this.samples = new Float32Array(MEASURE_FFT_SIZE);
+        this.spectrum = new Float32Array(MEASURE_FFT_SIZE / 2);
+
+        // Weighting of every bin as a power ratio
+        const binWidth = context.sampleRate / MEASURE_FFT_SIZE;
+        this.weights = new Float32Array(this.spectrum.length);
+        for (let bin = 1; bin < this.weights.length; bin++) {
+            this.weights[bin] = Math.pow(10, aWeighting(bin * binWidth) / 10);
+        }
+    }
+
+    /**
+     * Current level, or -Infinity in silence
+     * The RMS of the samples is corrected by how much A-weighting takes
+     * off the spectrum they make up
+     */
+    measure() {
+        this.analyser.getFloatTimeDomainData(this.samples);
+        let sumSquares = 0;
+        for (let i = 0; i < this.samples.length; i++) {
+            sumSquares += this.samples[i] * this.samples[i];
+        }
+        if (sumSquares === 0) return -Infinity;
+
+        this.analyser.getFloatFrequencyData(this.spectrum);
+        let total = 0;
+        let weighted = 0;
+        for (let bin = 1; bin < this.spectrum.length; bin++) {
+            const power = Math.pow(10, this.spectrum[bin] / 10);
+            total += power;
+            weighted += power * this.weights[bin];
+        }
+        const weighting = total > 0 && weighted > 0 ? 10 * Math.log10(weighted / total) : 0;
+
+        return 10 * Math.log10(sumSquares / this.samples.length) + weighting;
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * WhoaNoise - Timeline sequencer
+ * Programs of timed stages (sound, EQ and volume with a transition),
+ * and planning when each stage of a run starts and ends
+ */
+
+import { normalizeEq } from './equalizer.js';
+
+export const MAX_PROGRAMS = 20;
+export const MAX_STAGES = 12;
+
+// Longest stage transition (seconds) and stage duration (minutes)
+export const MAX_TRANSITION_SECONDS = 30 * 60;
+export const MAX_STAGE_MINUTES = 12 * 60;
+
+// How a stage ends, with display names: after a number of minutes,
+// at the next time the clock shows a given time, or never
+export const STAGE_ENDS = {
+    duration: 'For',
+    until: 'Until',
+    hold: 'Hold'
+};
+
+const CLOCK_TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * A new stage; eq is null to leave the EQ as it is
+ */
+export function createStage(noiseType = 'pink', volume = 60) {
+    return { noiseType, volume, eq: null, transition: 60, end: 'duration', minutes: 30, until: '06:30' };
+}
+
+export function createProgram(name) {
+    return { name, stages: [createStage()] };
+}
+
+/**
+ * Validate a saved program and return a clean copy, or null
+ * noiseTypes lists the sound types a stage may use
+ */
+export function normalizeProgram(saved, noiseTypes) {
+    if (!saved || typeof saved !== 'object' || !Array.isArray(saved.stages)) return null;
+
+    const clamp = (value, min, max, fallback) =>
+        typeof value === 'number' && isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+
+    const stages = saved.stages
+        .filter(stage => stage && typeof stage === 'object')
+        .slice(0, MAX_STAGES)
+        .map(stage => ({
+            noiseType: noiseTypes.includes(stage.noiseType) ? stage.noiseType : 'pink',
+            volume: clamp(stage.volume, 0, 100, 60),
+            eq: stage.eq ? normalizeEq(stage.eq) : null,
+            transition: clamp(stage.transition, 0, MAX_TRANSITION_SECONDS, 60),
+            end: stage.end in STAGE_ENDS ? stage.end : 'duration',
+            minutes: clamp(stage.minutes, 1, MAX_STAGE_MINUTES, 30),
+            until: typeof stage.until === 'string' && CLOCK_TIME.test(stage.until) ? stage.until : '06:30'
+        }));
+    if (stages.length === 0) return null;
+
+    const name = typeof saved.name === 'string' && saved.name.trim() ? saved.name.trim() : 'Program';
+    return { name, stages };
+}
+
+/**
+ * Start and end of every stage, in seconds from the start of a run
+ * Clock times resolve to their next occurrence after the stage begins,
+ * using the wall clock at startDate; held stages never end
+ */
+export function planProgram(program, startDate) {
+    let offset = 0;
+    return program.stages.map(stage => {
+        const start = offset;
+        let end = Infinity;
+
+        if (stage.end === 'duration') {
+            end = start + stage.minutes * 60;
+        } else if (stage.end === 'until') {
+            const begins = new Date(startDate.getTime() + start * 1000);
+            const [, hours, minutes] = CLOCK_TIME.exec(stage.until);
+            const target = new Date(begins);
+            target.setHours(Number(hours), Number(minutes), 0, 0);
+            if (target <= begins) {
+                target.setDate(target.getDate() + 1);
+            }
+            end = (target - startDate) / 1000;
+        }
+
+        offset = end;
+        return { start, end };
+    });
+}
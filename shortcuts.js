@@ -0,0 +1,112 @@
+/**
+ * WhoaNoise - Keyboard shortcuts
+ * The actions keys can be bound to, their default keys, and helpers to
+ * validate, match and display the bindings
+ */
+
+// Bindable actions, with their names in the help overlay
+export const SHORTCUT_ACTIONS = {
+    togglePlay: 'Play or stop',
+    volumeUp: 'Volume up',
+    volumeDown: 'Volume down',
+    help: 'Show shortcuts'
+};
+
+// Sound slots, each picking a sound by its place in the noise grid
+// (actions sound1 to sound9)
+export const SOUND_SHORTCUTS = 9;
+
+// Keys that keep their usual job and can't be bound
+const RESERVED_KEYS = ['Escape', 'Tab', 'Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'Dead', 'Unidentified', 'Process'];
+
+// Display names for keys without a printable character
+const KEY_NAMES = {
+    ' ': 'Space',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→'
+};
+
+/**
+ * Every bindable action, sound slots last
+ */
+export function getShortcutActions() {
+    const actions = Object.keys(SHORTCUT_ACTIONS);
+    for (let slot = 1; slot <= SOUND_SHORTCUTS; slot++) {
+        actions.push(`sound${slot}`);
+    }
+    return actions;
+}
+
+/**
+ * Default bindings: space, arrows, ? and the number keys
+ */
+export function createShortcuts() {
+    const shortcuts = { togglePlay: ' ', volumeUp: 'ArrowUp', volumeDown: 'ArrowDown', help: '?' };
+    for (let slot = 1; slot <= SOUND_SHORTCUTS; slot++) {
+        shortcuts[`sound${slot}`] = String(slot);
+    }
+    return shortcuts;
+}
+
+/**
+ * A KeyboardEvent key as stored in the bindings (letters are lower case
+ * so Caps Lock doesn't matter)
+ */
+export function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * True for keys that can be bound to an action
+ */
+export function isBindableKey(key) {
+    return typeof key === 'string' && key.length > 0 && key.length <= 20 && !RESERVED_KEYS.includes(key);
+}
+
+/**
+ * Validate saved bindings and return a clean copy
+ * Actions can be unbound (null); a key bound twice keeps its first
+ * action only
+ */
+export function normalizeShortcuts(saved) {
+    const defaults = createShortcuts();
+    const shortcuts = {};
+    const used = new Set();
+    if (!saved || typeof saved !== 'object') return defaults;
+
+    for (const action of getShortcutActions()) {
+        let key = defaults[action];
+        if (saved[action] === null) {
+            key = null;
+        } else if (isBindableKey(saved[action])) {
+            key = normalizeKey(saved[action]);
+        }
+        if (key !== null && used.has(key)) {
+            key = null;
+        }
+        if (key !== null) {
+            used.add(key);
+        }
+        shortcuts[action] = key;
+    }
+    return shortcuts;
+}
+
+/**
+ * The action bound to a key, or null
+ */
+export function findShortcut(shortcuts, key) {
+    const normalized = normalizeKey(key);
+    return Object.keys(shortcuts).find(action => shortcuts[action] === normalized) || null;
+}
+
+/**
+ * Format a bound key for display
+ */
+export function formatKey(key) {
+    if (key === null) return 'None';
+    if (key in KEY_NAMES) return KEY_NAMES[key];
+    return key.length === 1 ? key.toUpperCase() : key;
+}
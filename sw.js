@@ -1,43 +1,76 @@
 /**
  * Service Worker for WhoaNoise PWA
  * Enables offline functionality by caching all assets
+ * Each version of the app files gets its own cache; a new version waits
+ * until the page asks it to take over, so playback is never cut off
  */
 
-const CACHE_NAME = 'whoanoise-v1';
+// Hash of the app files, stamped by tools/version.js
+const VERSION = 'bfa43d56c0c9';
+const CACHE_PREFIX = 'whoanoise-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+
+// Requests outside the app files, kept across versions
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime`;
+
+// Paths relative to the scope, so the app works from any subpath
 const ASSETS = [
-    '/',
-    '/index.html',
-    '/index.css',
-    '/app.js',
-    '/noise-processor.js',
-    '/manifest.json',
-    '/icon-192.png',
-    '/icon-512.png'
+    './',
+    './index.html',
+    './index.css',
+    './app.js',
+    './presets.js',
+    './audio-export.js',
+    './equalizer.js',
+    './visualizer.js',
+    './modulation.js',
+    './sequencer.js',
+    './tinnitus.js',
+    './safety.js',
+    './shortcuts.js',
+    './tabs.js',
+    './embed-api.js',
+    './dsp-core.js',
+    './noise-processor.js',
+    './modulation-processor.js',
+    './manifest.json',
+    './icon-192.png',
+    './icon-512.png'
 ];
 
-// Install event - cache all assets
+function scopeUrl(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+const PRECACHED = new Set(ASSETS.map(scopeUrl));
+
+// Install event - cache all assets, skipping the HTTP cache so a new
+// version never picks up files from the old one
 self.addEventListener('install', (event) => {
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then((cache) => {
-                console.log('Caching app assets');
-                return cache.addAll(ASSETS);
-            })
-            .then(() => {
-                // Activate immediately
-                return self.skipWaiting();
+                console.log(`Caching app assets for version ${VERSION}`);
+                return cache.addAll(ASSETS.map((path) => new Request(scopeUrl(path), { cache: 'reload' })));
             })
     );
 });
 
-// Activate event - clean up old caches
+// The page sends this when the user accepts an update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+// Activate event - clean up caches of other versions
 self.addEventListener('activate', (event) => {
     event.waitUntil(
         caches.keys()
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames
-                        .filter((name) => name !== CACHE_NAME)
+                        .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME && name !== RUNTIME_CACHE)
                         .map((name) => caches.delete(name))
                 );
             })
@@ -48,33 +81,46 @@ self.addEventListener('activate', (event) => {
     );
 });
 
-// Fetch event - serve from cache, fall back to network
+// Fetch event - the app files come from this version's cache as they
+// were installed, since a new deploy arrives through the next worker;
+// anything else is stale-while-revalidate from a runtime cache
+// Pages opened with deep link parameters share the cached page
 self.addEventListener('fetch', (event) => {
-    event.respondWith(
-        caches.match(event.request)
-            .then((response) => {
-                // Return cached version or fetch from network
-                if (response) {
-                    return response;
-                }
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
 
-                return fetch(event.request)
+    const key = request.mode === 'navigate' ? `${url.origin}${url.pathname}` : request;
+
+    if (PRECACHED.has(`${url.origin}${url.pathname}`)) {
+        event.respondWith(
+            caches.open(CACHE_NAME)
+                .then((cache) => cache.match(key))
+                .then((cached) => cached || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.open(RUNTIME_CACHE).then((cache) => {
+            return cache.match(key).then((cached) => {
+                const network = fetch(request)
                     .then((response) => {
                         // Don't cache non-successful responses
-                        if (!response || response.status !== 200 || response.type !== 'basic') {
-                            return response;
+                        if (response && response.status === 200 && response.type === 'basic') {
+                            cache.put(key, response.clone());
                         }
-
-                        // Clone the response for caching
-                        const responseToCache = response.clone();
-
-                        caches.open(CACHE_NAME)
-                            .then((cache) => {
-                                cache.put(event.request, responseToCache);
-                            });
-
                         return response;
                     });
-            })
+
+                if (cached) {
+                    event.waitUntil(network.catch((error) => {
+                        console.log(`Revalidating ${url.pathname} failed: ${error}`);
+                    }));
+                    return cached;
+                }
+                return network;
+            });
+        })
     );
 });
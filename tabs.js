@@ -0,0 +1,76 @@
+/**
+ * WhoaNoise - Cross-window coordination
+ * A BroadcastChannel between every open WhoaNoise window, so only one
+ * of them plays at a time and live changes show up in all of them, and
+ * the merge used when several windows save their settings
+ */
+
+const CHANNEL_NAME = 'whoanoise';
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Three-way merge of saved settings
+ * base is the state this window last saw saved, ours its current state
+ * and theirs what is saved now; anything this window changed since the
+ * base is taken from ours, everything else from theirs. Objects merge
+ * key by key, arrays as a whole
+ */
+export function mergeChanges(base, ours, theirs) {
+    if (!isPlainObject(ours) || !isPlainObject(theirs)) {
+        return sameValue(ours, base) ? theirs : ours;
+    }
+
+    const merged = {};
+    for (const key of new Set([...Object.keys(ours), ...Object.keys(theirs)])) {
+        if (!(key in ours)) {
+            merged[key] = theirs[key];
+        } else if (!(key in theirs)) {
+            merged[key] = ours[key];
+        } else {
+            merged[key] = mergeChanges(isPlainObject(base) ? base[key] : undefined, ours[key], theirs[key]);
+        }
+    }
+    return merged;
+}
+
+/**
+ * True if a claim to be the playing window ({ since, from }) beats
+ * another: the latest Play wins, with the window id breaking ties
+ */
+export function isNewerClaim(claim, other) {
+    return claim.since > other.since || (claim.since === other.since && claim.from > other.from);
+}
+
+/**
+ * The channel between windows
+ * Every message carries the sender's id, and a window never hears its
+ * own messages; without BroadcastChannel it does nothing
+ */
+export class TabChannel {
+    constructor(onMessage) {
+        this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this.channel = null;
+
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(CHANNEL_NAME);
+            this.channel.addEventListener('message', (event) => {
+                if (event.data && event.data.from !== this.id) {
+                    onMessage(event.data);
+                }
+            });
+        }
+    }
+
+    post(message) {
+        if (this.channel) {
+            this.channel.postMessage({ ...message, from: this.id });
+        }
+    }
+}
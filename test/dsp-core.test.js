@@ -0,0 +1,284 @@
+/**
+ * Spectral tests for the noise generators in dsp-core.js
+ * Renders long runs of every color and checks the spectral slope, DC
+ * offset, peak level and RMS against tolerances
+ *
+ * Run with: node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SOUND_PARAMS, SlopeFilter, NoiseChannel } from '../dsp-core.js';
+
+// Every color should have the same response at each of these rates
+const SAMPLE_RATES = [44100, 48000, 96000];
+
+// Samples rendered per run (about 11 seconds at 48 kHz)
+const RUN_LENGTH = 1 << 19;
+
+// Welch spectrum: Hann-windowed FFT segments, averaged
+const FFT_SIZE = 4096;
+
+// Octave band centers used to fit slopes (Hz)
+const OCTAVES = [125, 250, 500, 1000, 2000, 4000, 8000];
+
+function defaultSoundParams() {
+  const params = {};
+  for (const [sound, ranges] of Object.entries(SOUND_PARAMS)) {
+    params[sound] = {};
+    for (const [name, range] of Object.entries(ranges)) {
+      params[sound][name] = range.value;
+    }
+  }
+  return params;
+}
+
+/**
+ * Render a run of one generator
+ */
+function render(noiseType, { sampleRate = 48000, slope = 0, seed = 1, length = RUN_LENGTH } = {}) {
+  const slopeFilter = new SlopeFilter(sampleRate);
+  slopeFilter.design(slope);
+  const channel = new NoiseChannel(sampleRate, slopeFilter, defaultSoundParams(), seed);
+
+  const samples = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    samples[i] = channel.getSample(noiseType);
+  }
+  return samples;
+}
+
+/**
+ * In-place radix-2 FFT
+ */
+function fft(real, imag) {
+  const n = real.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const half = size / 2;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + half;
+        const re = real[b] * cos - imag[b] * sin;
+        const im = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - re;
+        imag[b] = imag[a] - im;
+        real[a] += re;
+        imag[a] += im;
+      }
+    }
+  }
+}
+
+/**
+ * Average power per FFT bin (arbitrary units)
+ */
+function powerSpectrum(samples) {
+  const power = new Float64Array(FFT_SIZE / 2);
+  const real = new Float64Array(FFT_SIZE);
+  const imag = new Float64Array(FFT_SIZE);
+
+  for (let start = 0; start + FFT_SIZE <= samples.length; start += FFT_SIZE) {
+    for (let i = 0; i < FFT_SIZE; i++) {
+      real[i] = samples[start + i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / FFT_SIZE));
+      imag[i] = 0;
+    }
+    fft(real, imag);
+    for (let bin = 0; bin < power.length; bin++) {
+      power[bin] += real[bin] * real[bin] + imag[bin] * imag[bin];
+    }
+  }
+  return power;
+}
+
+/**
+ * Mean power density (dB) in the octave around each center frequency
+ */
+function octaveLevels(samples, sampleRate) {
+  const power = powerSpectrum(samples);
+  const binWidth = sampleRate / FFT_SIZE;
+
+  return OCTAVES.map(center => {
+    const low = Math.ceil(center / Math.SQRT2 / binWidth);
+    const high = Math.floor(center * Math.SQRT2 / binWidth);
+    let sum = 0;
+    for (let bin = low; bin <= high; bin++) {
+      sum += power[bin];
+    }
+    return 10 * Math.log10(sum / (high - low + 1));
+  });
+}
+
+/**
+ * Least-squares slope (dB/octave) through the octave levels between
+ * two center frequencies
+ */
+function spectralSlope(samples, sampleRate, low, high) {
+  const levels = octaveLevels(samples, sampleRate);
+  const points = [];
+  OCTAVES.forEach((center, index) => {
+    if (center >= low && center <= high) {
+      points.push([Math.log2(center), levels[index]]);
+    }
+  });
+
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+  let covariance = 0;
+  let variance = 0;
+  for (const [x, y] of points) {
+    covariance += (x - meanX) * (y - meanY);
+    variance += (x - meanX) * (x - meanX);
+  }
+  return covariance / variance;
+}
+
+function statistics(samples) {
+  let sum = 0;
+  let sumSquares = 0;
+  let peak = 0;
+  for (const sample of samples) {
+    sum += sample;
+    sumSquares += sample * sample;
+    peak = Math.max(peak, Math.abs(sample));
+  }
+  return {
+    mean: sum / samples.length,
+    rms: Math.sqrt(sumSquares / samples.length),
+    peak
+  };
+}
+
+/**
+ * Fail if the run has a DC offset
+ * The mean of a finite run wanders with the low-frequency content, so
+ * it is compared with how much the means of shorter blocks scatter: a
+ * real offset shows up in every block
+ */
+function assertNoDcOffset(samples, mean) {
+  const blocks = 16;
+  const blockLength = Math.floor(samples.length / blocks);
+  const blockMeans = [];
+  for (let block = 0; block < blocks; block++) {
+    let sum = 0;
+    for (let i = block * blockLength; i < (block + 1) * blockLength; i++) {
+      sum += samples[i];
+    }
+    blockMeans.push(sum / blockLength);
+  }
+
+  const average = blockMeans.reduce((sum, value) => sum + value, 0) / blocks;
+  const variance = blockMeans.reduce((sum, value) => sum + (value - average) ** 2, 0) / (blocks - 1);
+  const standardError = Math.sqrt(variance / blocks);
+  assert.ok(
+    Math.abs(mean) < 4 * standardError,
+    `DC offset ${mean.toExponential(2)} is over 4 standard errors (${standardError.toExponential(2)})`
+  );
+}
+
+function assertNear(actual, expected, tolerance, what) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${what}: ${actual.toFixed(3)}, expected ${expected} ± ${tolerance}`
+  );
+}
+
+// Named generators: nominal slope (dB/octave) over the band it holds
+// for, and the raw RMS the loudness normalization was tuned around
+// Brown's leaky integrator flattens out below a few hundred Hz
+const COLORS = {
+  white: { slope: 0, low: 125, high: 8000, rms: 0.577 },
+  pink: { slope: -3, low: 125, high: 8000, rms: 0.140 },
+  brown: { slope: -6, low: 500, high: 8000, rms: 0.201 },
+  blue: { slope: 3, low: 125, high: 8000, rms: 0.166 },
+  violet: { slope: 6, low: 125, high: 4000, rms: 0.572 }
+};
+
+for (const sampleRate of SAMPLE_RATES) {
+  for (const [noiseType, expected] of Object.entries(COLORS)) {
+    test(`${noiseType} noise at ${sampleRate} Hz`, () => {
+      const samples = render(noiseType, { sampleRate });
+      const { mean, rms, peak } = statistics(samples);
+
+      assertNear(spectralSlope(samples, sampleRate, expected.low, expected.high), expected.slope, 0.5, 'slope (dB/octave)');
+      assertNear(rms, expected.rms, expected.rms * 0.05, 'RMS');
+      assertNoDcOffset(samples, mean);
+      assert.ok(peak / rms < 6, `crest factor ${(peak / rms).toFixed(2)} is above 6`);
+      assert.ok(peak < 2, `peak ${peak.toFixed(3)} is above 2`);
+    });
+  }
+}
+
+// The shape of each color's spectrum, relative to its 1 kHz level,
+// should not move with the sample rate
+for (const noiseType of Object.keys(COLORS)) {
+  test(`${noiseType} noise has the same response at every sample rate`, () => {
+    const shape = sampleRate => {
+      const levels = octaveLevels(render(noiseType, { sampleRate }), sampleRate);
+      const reference = levels[OCTAVES.indexOf(1000)];
+      return levels.map(level => level - reference);
+    };
+
+    const expected = shape(48000);
+    for (const sampleRate of SAMPLE_RATES) {
+      shape(sampleRate).forEach((level, index) => {
+        assertNear(level, expected[index], 1, `${OCTAVES[index]} Hz octave at ${sampleRate} Hz (dB)`);
+      });
+    }
+  });
+}
+
+// The continuous color generator plays every color preset in the app,
+// normalized to the power of its white input
+for (const sampleRate of SAMPLE_RATES) {
+  for (const slope of [-9, -6, -3, 0, 3, 6]) {
+    test(`color noise at ${slope} dB/octave, ${sampleRate} Hz`, () => {
+      const samples = render('color', { sampleRate, slope });
+      const { mean, rms, peak } = statistics(samples);
+
+      assertNear(spectralSlope(samples, sampleRate, 125, 8000), slope, 0.5, 'slope (dB/octave)');
+      assertNear(rms, 0.577, 0.577 * 0.15, 'RMS');
+      assertNoDcOffset(samples, mean);
+      assert.ok(peak / rms < 6, `crest factor ${(peak / rms).toFixed(2)} is above 6`);
+    });
+  }
+}
+
+// Soundscapes only get a loose DC bound: rain's droplets sit slightly
+// above zero, and a few seconds of fan airflow is dominated by its rumble
+test('soundscapes stay finite and bounded', () => {
+  for (const sound of Object.keys(SOUND_PARAMS)) {
+    const samples = render(sound, { length: 48000 * 4 });
+    const { mean, rms, peak } = statistics(samples);
+
+    assert.ok(samples.every(Number.isFinite), `${sound} produced a non-finite sample`);
+    assert.ok(rms > 0, `${sound} is silent`);
+    assert.ok(peak < 4, `${sound} peak ${peak.toFixed(3)} is above 4`);
+    assert.ok(Math.abs(mean) < 0.05 * rms, `${sound} DC offset ${mean.toExponential(2)} is over 5% of the RMS`);
+  }
+});
+
+test('a seed reproduces the same noise', () => {
+  const first = render('pink', { seed: 1234, length: 10000 });
+  const second = render('pink', { seed: 1234, length: 10000 });
+  const other = render('pink', { seed: 1235, length: 10000 });
+
+  assert.deepEqual(first, second);
+  assert.notDeepEqual(first, other);
+});
@@ -0,0 +1,26 @@
+/**
+ * Checks that the service worker's version matches the app files, so a
+ * deploy always reaches installed copies
+ *
+ * Run with: node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+
+import { readAssets, readVersion, computeVersion } from '../tools/version.js';
+
+const ROOT = new URL('../', import.meta.url);
+
+test('every cached asset exists', () => {
+  const source = readFileSync(new URL('sw.js', ROOT), 'utf8');
+  for (const path of readAssets(source)) {
+    assert.ok(path.startsWith('./'), `${path} is not relative to the scope`);
+    assert.ok(existsSync(new URL(path, ROOT)), `${path} is missing`);
+  }
+});
+
+test('sw.js version matches the app files', () => {
+  assert.equal(readVersion(), computeVersion(), 'sw.js is out of date, run node tools/version.js');
+});
@@ -0,0 +1,204 @@
+/**
+ * WhoaNoise - Tinnitus relief
+ * The matched tinnitus pitch and masking settings, the notch or
+ * narrow-band filters they add after the EQ, and the pure tone player
+ * used by the pitch-matching wizard
+ */
+
+// Range of pitches that can be matched (Hz)
+export const MIN_TINNITUS_FREQUENCY = 125;
+export const MAX_TINNITUS_FREQUENCY = 16000;
+
+// Notch or band width range in octaves, and notch depth range in dB
+export const MIN_TINNITUS_WIDTH = 0.25;
+export const MAX_TINNITUS_WIDTH = 2;
+export const MIN_TINNITUS_DEPTH = 6;
+export const MAX_TINNITUS_DEPTH = 40;
+
+// Masking modes, with their display names
+export const TINNITUS_MODES = {
+    off: 'Off',
+    notch: 'Notched noise',
+    narrow: 'Narrow-band noise'
+};
+
+// Starting points offered by the wizard before fine tuning (Hz)
+export const WIZARD_FREQUENCIES = [250, 500, 1000, 2000, 3000, 4000, 6000, 8000, 10000, 12000];
+
+// Most makeup gain for narrow-band noise (dB), for extreme colors
+const MAX_MAKEUP_DB = 40;
+
+// Fade time for the wizard tone starting, stopping and gliding (seconds)
+const TONE_SMOOTHING = 0.03;
+
+function clamp(value, min, max, fallback) {
+    return typeof value === 'number' && isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+}
+
+/**
+ * Q of a band-pass or peak filter with a bandwidth in octaves
+ */
+function bandwidthToQ(octaves) {
+    const ratio = Math.pow(2, octaves);
+    return Math.sqrt(ratio) / (ratio - 1);
+}
+
+/**
+ * Default settings: no pitch matched yet, one octave notch
+ */
+export function createTinnitus() {
+    return { frequency: null, mode: 'off', width: 1, depth: 30 };
+}
+
+/**
+ * Validate saved tinnitus settings and return a clean copy
+ */
+export function normalizeTinnitus(saved) {
+    const tinnitus = createTinnitus();
+    if (!saved || typeof saved !== 'object') return tinnitus;
+
+    tinnitus.frequency = clamp(saved.frequency, MIN_TINNITUS_FREQUENCY, MAX_TINNITUS_FREQUENCY, null);
+    tinnitus.mode = saved.mode in TINNITUS_MODES ? saved.mode : 'off';
+    tinnitus.width = clamp(saved.width, MIN_TINNITUS_WIDTH, MAX_TINNITUS_WIDTH, tinnitus.width);
+    tinnitus.depth = clamp(saved.depth, MIN_TINNITUS_DEPTH, MAX_TINNITUS_DEPTH, tinnitus.depth);
+    return tinnitus;
+}
+
+/**
+ * The masking filters as EQ settings, for an EqualizerChain
+ * The notch is two cuts a little either side of the pitch, which gives
+ * a flatter bottom and steeper sides than one wide cut; narrow-band
+ * noise is two band-pass filters on the pitch
+ */
+export function tinnitusEq(tinnitus) {
+    const eq = {
+        bands: [],
+        highpass: { enabled: false, frequency: 20 },
+        lowpass: { enabled: false, frequency: 20000 }
+    };
+    const { frequency, mode, width, depth } = tinnitus;
+    if (frequency === null) return eq;
+
+    if (mode === 'notch') {
+        const q = bandwidthToQ(width * 0.4);
+        [-1, 1].forEach(side => {
+            eq.bands.push({ type: 'peaking', frequency: frequency * Math.pow(2, side * width / 5), gain: -depth, q });
+        });
+    } else if (mode === 'narrow') {
+        const q = bandwidthToQ(width);
+        eq.bands.push({ type: 'bandpass', frequency, gain: 0, q });
+        eq.bands.push({ type: 'bandpass', frequency, gain: 0, q });
+    }
+    return eq;
+}
+
+/**
+ * Gain that brings filtered noise back to its unfiltered level
+ * Integrates the chain's response over noise with the given spectral
+ * slope (dB/octave) on a log frequency grid
+ */
+export function makeupGain(chain, slope) {
+    const points = 512;
+    const frequencies = new Float32Array(points);
+    for (let i = 0; i < points; i++) {
+        frequencies[i] = 20 * Math.pow(1000, i / (points - 1));
+    }
+    const response = chain.getResponse(frequencies);
+
+    // Noise power per log frequency step grows as f^(1 + slope / 3.01)
+    const exponent = 1 + slope / (10 * Math.log10(2));
+    let total = 0;
+    let passed = 0;
+    for (let i = 0; i < points; i++) {
+        const power = Math.pow(frequencies[i] / 1000, exponent);
+        total += power;
+        passed += power * Math.pow(10, response[i] / 10);
+    }
+
+    const gain = passed > 0 ? Math.sqrt(total / passed) : 1;
+    return Math.min(gain, Math.pow(10, MAX_MAKEUP_DB / 20));
+}
+
+/**
+ * Format a width in octaves
+ */
+export function formatOctaves(octaves) {
+    return `${+octaves.toFixed(2)} oct`;
+}
+
+/**
+ * Pure sine tone for pitch matching, on its own audio context so the
+ * wizard works whether or not the noise is playing
+ */
+export class PitchMatcher {
+    constructor() {
+        this.context = null;
+        this.oscillator = null;
+        this.gain = null;
+        this.level = 0.1;
+    }
+
+    /**
+     * Start the tone, or glide to a new pitch if it is already playing
+     */
+    async play(frequency) {
+        if (!this.context) {
+            this.context = new (window.AudioContext || window.webkitAudioContext)();
+            this.gain = this.context.createGain();
+            this.gain.gain.value = 0;
+            this.gain.connect(this.context.destination);
+        }
+        if (this.context.state === 'suspended') {
+            await this.context.resume();
+        }
+
+        const now = this.context.currentTime;
+        if (!this.oscillator) {
+            this.oscillator = this.context.createOscillator();
+            this.oscillator.frequency.value = frequency;
+            this.oscillator.connect(this.gain);
+            this.oscillator.start();
+        }
+        this.oscillator.frequency.setTargetAtTime(frequency, now, TONE_SMOOTHING);
+        this.gain.gain.setTargetAtTime(this.level, now, TONE_SMOOTHING);
+    }
+
+    /**
+     * Tone level, 0-1 (squared, like the volume slider)
+     */
+    setLevel(level) {
+        this.level = level * level;
+        if (this.oscillator) {
+            this.gain.gain.setTargetAtTime(this.level, this.context.currentTime, TONE_SMOOTHING);
+        }
+    }
+
+    /**
+     * Fade the tone out
+     */
+    stop() {
+        if (!this.oscillator) return;
+
+        const oscillator = this.oscillator;
+        const now = this.context.currentTime;
+        this.gain.gain.setTargetAtTime(0, now, TONE_SMOOTHING);
+        oscillator.stop(now + TONE_SMOOTHING * 6);
+        this.oscillator = null;
+    }
+
+    /**
+     * Stop and release the audio context
+     */
+    close() {
+        this.stop();
+        if (this.context) {
+            const context = this.context;
+            setTimeout(() => context.close(), 500);
+            this.context = null;
+        }
+    }
+
+    get playing() {
+        return this.oscillator !== null;
+    }
+}
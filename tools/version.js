@@ -0,0 +1,80 @@
+/**
+ * Stamp sw.js with a version hashed from the app files
+ * The service worker names its cache after the version, so any change
+ * to an asset installs a new worker and open pages offer the update
+ *
+ * Run with: node tools/version.js [--check]
+ * --check only reports whether the version is out of date
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = new URL('../', import.meta.url);
+
+const VERSION_PATTERN = /^const VERSION = '([0-9a-f]*)';$/m;
+
+// Hex digits of the hash kept for the version
+const VERSION_LENGTH = 12;
+
+function readServiceWorker(root) {
+  return readFileSync(new URL('sw.js', root), 'utf8');
+}
+
+/**
+ * Paths in the service worker's ASSETS list
+ */
+export function readAssets(source) {
+  const list = source.match(/const ASSETS = \[([\s\S]*?)\];/);
+  if (!list) {
+    throw new Error('sw.js has no ASSETS list');
+  }
+  return Array.from(list[1].matchAll(/'([^']+)'/g), match => match[1]);
+}
+
+/**
+ * The version stamped in sw.js
+ */
+export function readVersion(root = ROOT) {
+  const match = readServiceWorker(root).match(VERSION_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Hash of every cached file and of the service worker itself, leaving
+ * out its version line
+ */
+export function computeVersion(root = ROOT) {
+  const source = readServiceWorker(root);
+  const hash = createHash('sha256');
+
+  for (const path of readAssets(source)) {
+    // The scope root is index.html again
+    if (path.endsWith('/')) continue;
+    hash.update(path);
+    hash.update(readFileSync(new URL(path, root)));
+  }
+  hash.update(source.replace(VERSION_PATTERN, ''));
+
+  return hash.digest('hex').slice(0, VERSION_LENGTH);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const current = readVersion();
+  const version = computeVersion();
+
+  if (process.argv.includes('--check')) {
+    if (current !== version) {
+      console.error(`sw.js version ${current} is out of date, run node tools/version.js`);
+      process.exit(1);
+    }
+    console.log(`sw.js version ${version} is up to date`);
+  } else if (current === version) {
+    console.log(`sw.js is already at version ${version}`);
+  } else {
+    const file = new URL('sw.js', ROOT);
+    writeFileSync(file, readServiceWorker(ROOT).replace(VERSION_PATTERN, `const VERSION = '${version}';`));
+    console.log(`sw.js version ${current} -> ${version}`);
+  }
+}
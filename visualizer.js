@@ -0,0 +1,236 @@
+/**
+ * WhoaNoise - Spectrum analyzer and level meter
+ * Draws an AnalyserNode's spectrum on a log frequency axis, with an
+ * RMS/peak meter, once per animation frame while running
+ */
+
+import { formatFrequency, positionToFrequency, frequencyToPosition } from './equalizer.js';
+
+// FFT size of the analyser (bins = half this)
+export const ANALYSER_FFT_SIZE = 4096;
+
+// Analyser smoothing used when averaging is on (0 = none)
+const AVERAGING_SMOOTHING = 0.8;
+
+// Vertical range of the spectrum (dB per bin)
+const SPECTRUM_MIN_DB = -120;
+const SPECTRUM_MAX_DB = -30;
+
+// Range of the level meter (dBFS)
+const METER_MIN_DB = -60;
+
+// How long peaks hold before falling, and how fast they fall
+const PEAK_HOLD_SECONDS = 1;
+const PEAK_FALL_DB_PER_SECOND = 20;
+
+function toDecibels(value) {
+    return 20 * Math.log10(Math.max(value, 1e-9));
+}
+
+/**
+ * Update a held peak with a new level
+ * Returns the held level, when it was reached, and the level to show
+ * (held for a moment, then falling at a fixed rate)
+ */
+function holdPeak(held, heldAt, level, now) {
+    const falling = Math.max(0, now - heldAt - PEAK_HOLD_SECONDS);
+    const shown = held - falling * PEAK_FALL_DB_PER_SECOND;
+    if (level >= shown) return { held: level, heldAt: now, shown: level };
+    return { held, heldAt, shown };
+}
+
+export class SpectrumDisplay {
+    constructor(canvas, meter) {
+        this.canvas = canvas;
+        this.context2d = canvas.getContext('2d');
+        this.meter = meter;
+        this.analyser = null;
+        this.frame = null;
+        this.averaging = true;
+        this.peakHold = true;
+
+        // Per-column spectrum peaks, and the meter's peak
+        this.peaks = new Float32Array(0);
+        this.peakTimes = new Float32Array(0);
+        this.meterPeak = { held: METER_MIN_DB, heldAt: 0, shown: METER_MIN_DB };
+
+        const style = getComputedStyle(canvas);
+        this.colors = {
+            accent: style.getPropertyValue('--accent').trim() || '#6366f1',
+            highlight: style.getPropertyValue('--accent-hover').trim() || '#818cf8',
+            grid: style.getPropertyValue('--border').trim() || 'rgba(255, 255, 255, 0.08)',
+            text: style.getPropertyValue('--text-muted').trim() || '#555566'
+        };
+
+        this.render = this.render.bind(this);
+        window.addEventListener('resize', () => {
+            if (!this.frame) this.clear();
+        });
+    }
+
+    setOptions({ averaging, peakHold }) {
+        this.averaging = averaging;
+        this.peakHold = peakHold;
+        this.peaks.fill(SPECTRUM_MIN_DB);
+        if (this.analyser) {
+            this.analyser.smoothingTimeConstant = averaging ? AVERAGING_SMOOTHING : 0;
+        }
+    }
+
+    /**
+     * Start drawing from an analyser
+     */
+    start(analyser) {
+        this.analyser = analyser;
+        analyser.fftSize = ANALYSER_FFT_SIZE;
+        analyser.smoothingTimeConstant = this.averaging ? AVERAGING_SMOOTHING : 0;
+        this.spectrum = new Float32Array(analyser.frequencyBinCount);
+        this.samples = new Float32Array(analyser.fftSize);
+
+        if (!this.frame) {
+            this.frame = requestAnimationFrame(this.render);
+        }
+    }
+
+    /**
+     * Stop drawing and leave an empty display
+     */
+    stop() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.peaks.fill(SPECTRUM_MIN_DB);
+        this.meterPeak = { held: METER_MIN_DB, heldAt: 0, shown: METER_MIN_DB };
+        this.clear();
+    }
+
+    /**
+     * Size the canvas to its displayed size and draw the grid
+     * Returns the CSS pixel size, or null while the canvas is hidden
+     */
+    prepare() {
+        const canvas = this.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (width === 0 || height === 0) return null;
+
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+
+        const ctx = this.context2d;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        ctx.strokeStyle = this.colors.grid;
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '10px sans-serif';
+        ctx.lineWidth = 1;
+        [100, 1000, 10000].forEach(frequency => {
+            const x = Math.round(frequencyToPosition(frequency) * width) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.fillText(formatFrequency(frequency), x + 3, height - 4);
+        });
+
+        return { width, height };
+    }
+
+    clear() {
+        this.prepare();
+        this.meter.fill.style.transform = 'scaleX(0)';
+        this.meter.peak.style.left = '0';
+        this.meter.value.textContent = '';
+    }
+
+    render(time) {
+        this.frame = requestAnimationFrame(this.render);
+        const now = time / 1000;
+        const size = this.prepare();
+
+        if (size) {
+            this.drawSpectrum(size, now);
+        }
+        this.drawMeter(now);
+    }
+
+    drawSpectrum({ width, height }, now) {
+        const analyser = this.analyser;
+        analyser.getFloatFrequencyData(this.spectrum);
+
+        const columns = Math.ceil(width);
+        if (this.peaks.length !== columns) {
+            this.peaks = new Float32Array(columns).fill(SPECTRUM_MIN_DB);
+            this.peakTimes = new Float32Array(columns);
+        }
+
+        // Each pixel column shows the loudest bin in its frequency range
+        const binWidth = analyser.context.sampleRate / analyser.fftSize;
+        const levels = new Float32Array(columns);
+        for (let x = 0; x < columns; x++) {
+            const low = Math.floor(positionToFrequency(x / width) / binWidth);
+            const high = Math.max(low, Math.floor(positionToFrequency((x + 1) / width) / binWidth));
+            let level = -Infinity;
+            for (let bin = low; bin <= high && bin < this.spectrum.length; bin++) {
+                level = Math.max(level, this.spectrum[bin]);
+            }
+            levels[x] = Math.max(level, SPECTRUM_MIN_DB);
+        }
+
+        const toY = level => height * (SPECTRUM_MAX_DB - level) / (SPECTRUM_MAX_DB - SPECTRUM_MIN_DB);
+        const ctx = this.context2d;
+
+        ctx.fillStyle = this.colors.accent;
+        ctx.globalAlpha = 0.5;
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        levels.forEach((level, x) => ctx.lineTo(x, toY(level)));
+        ctx.lineTo(columns, height);
+        ctx.closePath();
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        if (this.peakHold) {
+            ctx.strokeStyle = this.colors.highlight;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            levels.forEach((level, x) => {
+                const peak = holdPeak(this.peaks[x], this.peakTimes[x], level, now);
+                this.peaks[x] = peak.held;
+                this.peakTimes[x] = peak.heldAt;
+                if (x === 0) {
+                    ctx.moveTo(x, toY(peak.shown));
+                } else {
+                    ctx.lineTo(x, toY(peak.shown));
+                }
+            });
+            ctx.stroke();
+        }
+    }
+
+    drawMeter(now) {
+        this.analyser.getFloatTimeDomainData(this.samples);
+
+        let sumSquares = 0;
+        let peak = 0;
+        for (let i = 0; i < this.samples.length; i++) {
+            const sample = this.samples[i];
+            sumSquares += sample * sample;
+            peak = Math.max(peak, Math.abs(sample));
+        }
+        const rms = toDecibels(Math.sqrt(sumSquares / this.samples.length));
+        this.meterPeak = holdPeak(this.meterPeak.held, this.meterPeak.heldAt, toDecibels(peak), now);
+
+        const toScale = level => Math.min(Math.max(1 - level / METER_MIN_DB, 0), 1);
+        this.meter.fill.style.transform = `scaleX(${toScale(rms)})`;
+        this.meter.peak.style.left = `${toScale(this.meterPeak.shown) * 100}%`;
+
+        const format = level => (level <= METER_MIN_DB ? '-∞' : level.toFixed(1));
+        this.meter.value.textContent = `RMS ${format(rms)} · Peak ${format(this.meterPeak.shown)} dB`;
+    }
+}